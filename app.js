@@ -59,6 +59,8 @@ function App() {
         return <HomeView onNavigate={handleNavigate} />;
       case 'conductor':
         return <ConductorView onNavigate={handleNavigate} />;
+      case 'replay':
+        return <ReplayView onNavigate={handleNavigate} />;
       case 'join':
         return <JoinView onNavigate={handleNavigate} initialPin={playerData.pin} />;
       case 'player':
@@ -10,6 +10,9 @@ function HomeView({ onNavigate }) {
         <button className="btn btn-outline btn-block" onClick={() => onNavigate('join')}>
           I am a Player
         </button>
+        <button className="btn btn-outline btn-block" onClick={() => onNavigate('replay')}>
+          Replay a Session
+        </button>
       </div>
     </div>
   );
@@ -113,7 +116,7 @@ function JoinView({ onNavigate, initialPin = '' }) {
       setValidating(false);
       setLoading(false);
       console.log(`[${APP_VERSION}] Session validated:`, activeSession);
-      return true;
+      return activeSession;
     } catch (error) {
       console.error(`[${APP_VERSION}] Session validation error:`, error);
       setError('Error validating session. Please try again.');
@@ -135,9 +138,10 @@ function JoinView({ onNavigate, initialPin = '' }) {
     if (loading) return;
     
     // Validate the session first if we haven't already
-    if (!session && !validating) {
-      const valid = await validateSession();
-      if (!valid) return;
+    let joinedSession = session;
+    if (!joinedSession && !validating) {
+      joinedSession = await validateSession();
+      if (!joinedSession) return;
     }
     
     try {
@@ -162,6 +166,7 @@ function JoinView({ onNavigate, initialPin = '' }) {
         playerId = existingPlayers[0].id;
         await safeOperation(() => 
           room.collection('player').update(playerId, {
+            session_id: joinedSession?.id,
             active: true,
             last_seen: new Date().toISOString(),
             rejoined: true,
@@ -177,6 +182,7 @@ function JoinView({ onNavigate, initialPin = '' }) {
           room.collection('player').create({
             name: name.trim(),
             session_pin: cleanPin,
+            session_id: joinedSession?.id,
             active: true,
             last_seen: new Date().toISOString(),
             current_card: null,
@@ -275,6 +281,22 @@ function PlayerView({ pin, name, playerId, onNavigate }) {
   const playerSubscriptionRef = useRef(null);
   const cardEndTimeRef = useRef(null);
   const lastCardRef = useRef(null);
+  const [paused, setPaused] = useState(false);
+  const pausedRef = useRef(false);
+  const pausedAtRef = useRef(null);
+  const sessionSubscriptionRef = useRef(null);
+  const clockOffsetRef = useRef(0); // conductor clock minus this device's clock, in ms
+  const clockSamplesRef = useRef([]);
+  const lastPongIdRef = useRef(null);
+  const scheduledCardRef = useRef(null); // card waiting for its scheduled start time
+  const startTimerRef = useRef(null);
+  const [countdown, setCountdown] = useState(null);
+  const [timerDisplay, setTimerDisplay] = useState('hidden'); // hidden, ring, countdown, warning
+  const [timerWarningSeconds, setTimerWarningSeconds] = useState(DEFAULT_TIMER_WARNING_SECONDS);
+  const [timeLeftMs, setTimeLeftMs] = useState(null);
+  const clockSyncTimeoutRef = useRef(null);
+  const mediaCacheRef = useRef(new Map()); // preloaded card images and audio by URL
+  const deckCardsRef = useRef({}); // cards of decks whose media this player has looked up, by deck id
   
   // Update player status
   const updatePlayerStatus = async (statusUpdate) => {
@@ -294,10 +316,131 @@ function PlayerView({ pin, name, playerId, onNavigate }) {
     }
   };
 
-  // Simplified card display - no timer shown to player
-  const handleCardDisplay = (playerData) => {
+  // Apply session-level state (pause/resume, timer display) from the session record
+  const applySessionState = (sessionData) => {
+    setTimerDisplay(sessionData.player_timer_display || 'hidden');
+    setTimerWarningSeconds(sessionData.timer_warning_seconds || DEFAULT_TIMER_WARNING_SECONDS);
+    
+    const isPaused = sessionData.paused === true;
+    pausedAtRef.current = isPaused && sessionData.paused_at ? new Date(sessionData.paused_at).getTime() : null;
+    
+    if (isPaused !== pausedRef.current) {
+      console.log(`[${APP_VERSION}] Session ${isPaused ? 'paused' : 'resumed'}`);
+      pausedRef.current = isPaused;
+      setPaused(isPaused);
+    }
+  };
+
+  // Current time on the conductor's clock, which all card times are written in
+  const getConductorNow = () => Date.now() + clockOffsetRef.current;
+
+  // While paused, time stands still at the moment of the pause
+  const getEffectiveNow = () => 
+    pausedRef.current && pausedAtRef.current ? pausedAtRef.current : getConductorNow();
+
+  // Send a clock ping for the conductor to answer
+  const sendClockPing = () => {
+    updatePlayerStatus({ 
+      clock_ping: { id: Math.random().toString(36).substring(2, 10), t0: Date.now() } 
+    });
+  };
+
+  // Turn the conductor's pong (which echoes our send time) into an offset sample
+  const handleClockPong = (pong) => {
+    if (!pong || pong.id === lastPongIdRef.current) return;
+
+    const sample = computeClockSample(pong, Date.now());
+    lastPongIdRef.current = pong.id;
+    clockSamplesRef.current = [...clockSamplesRef.current, sample].slice(-CLOCK_SYNC_SAMPLES);
+
+    const best = estimateClockOffset(clockSamplesRef.current);
+    clockOffsetRef.current = best.offset;
+    console.log(`[${APP_VERSION}] Clock sample: offset ${Math.round(sample.offset)}ms, rtt ${Math.round(sample.rtt)}ms (using ${Math.round(best.offset)}ms)`);
+
+    updatePlayerStatus({
+      clock_offset_ms: Math.round(best.offset),
+      clock_rtt_ms: Math.round(best.rtt),
+      clock_synced_at: new Date().toISOString()
+    });
+  };
+
+  // Drop any card that is waiting for its start time
+  const clearScheduledCard = () => {
+    if (startTimerRef.current) {
+      clearInterval(startTimerRef.current);
+      startTimerRef.current = null;
+    }
+    scheduledCardRef.current = null;
+    setCountdown(null);
+  };
+
+  // Hold the current screen until a card's scheduled start, then show it
+  const scheduleCard = (playerData, scheduledStart) => {
+    if (scheduledCardRef.current &&
+        scheduledCardRef.current.text === playerData.current_card &&
+        scheduledCardRef.current.startTime === scheduledStart) {
+      return;
+    }
+    
+    clearScheduledCard();
+    
+    // Freeze the previous card on screen - its expiry must not ask for another card
+    if (timerRef.current) {
+      clearInterval(timerRef.current);
+      timerRef.current = null;
+    }
+    
+    console.log(`[${APP_VERSION}] Card "${playerData.current_card}" scheduled for ${new Date(scheduledStart).toISOString()}`);
+    scheduledCardRef.current = { text: playerData.current_card, startTime: scheduledStart, playerData };
+    
+    startTimerRef.current = setInterval(() => {
+      if (pausedRef.current || !scheduledCardRef.current) return;
+      
+      const remaining = scheduledCardRef.current.startTime - getConductorNow();
+      if (remaining <= 0) {
+        const pendingData = scheduledCardRef.current.playerData;
+        clearScheduledCard();
+        handleCardDisplay(pendingData);
+      } else {
+        const seconds = Math.ceil(remaining / 1000);
+        setCountdown(seconds <= START_COUNTDOWN_SECONDS ? seconds : null);
+      }
+    }, 50);
+  };
+
+  // Read a deck's cards once, for media the player record leaves in the deck
+  const loadDeckCards = async (deckId) => {
+    try {
+      const deckList = await safeOperation(() => room.collection('deck').filter({ id: deckId }).getList());
+      deckCardsRef.current[deckId] = deckList[0]?.cards || [];
+    } catch (error) {
+      console.error(`[${APP_VERSION}] Error loading card media from deck ${deckId}:`, error);
+      deckCardsRef.current[deckId] = [];
+    }
+  };
+
+  // Card display - the session decides whether the player sees the remaining time
+  const handleCardDisplay = (playerData, deckRead = false) => {
     console.log(`[${APP_VERSION}] Processing card update for player:`, playerData);
     
+    // A scheduled card whose start was shifted by a resume just moves its start time
+    if (scheduledCardRef.current &&
+        playerData.card_shifted_from &&
+        scheduledCardRef.current.text === playerData.current_card &&
+        scheduledCardRef.current.startTime === new Date(playerData.card_shifted_from).getTime()) {
+      scheduledCardRef.current = {
+        ...scheduledCardRef.current,
+        startTime: new Date(playerData.card_start_time).getTime(),
+        playerData
+      };
+      return;
+    }
+    
+    // Any other update replaces a card still waiting for its start
+    if (scheduledCardRef.current) {
+      clearScheduledCard();
+    }
+    
     // Check if player has a card
     if (!playerData.current_card) {
       console.log(`[${APP_VERSION}] No card present, waiting for card`);
@@ -331,16 +474,68 @@ function PlayerView({ pin, name, playerId, onNavigate }) {
       return;
     }
     
+    // Resuming after a pause shifts the running card's start time - keep the card, move the timer
+    const isShiftedCard = lastCardRef.current &&
+                         playerData.card_shifted_from &&
+                         lastCardRef.current.text === playerData.current_card &&
+                         lastCardRef.current.startTime.getTime() === new Date(playerData.card_shifted_from).getTime();
+    
+    if (isShiftedCard) {
+      const shiftedStart = new Date(playerData.card_start_time);
+      console.log(`[${APP_VERSION}] Card start shifted to ${shiftedStart.toISOString()} after pause`);
+      lastCardRef.current = { ...lastCardRef.current, startTime: shiftedStart, duration: playerData.card_duration };
+      cardEndTimeRef.current = shiftedStart.getTime() + (playerData.card_duration * 1000);
+      return;
+    }
+    
     // Check if this is the same card we're already displaying (to avoid timer resets)
     const isSameCard = lastCardRef.current && 
                       lastCardRef.current.text === playerData.current_card && 
-                      lastCardRef.current.startTime === playerData.card_start_time;
+                      lastCardRef.current.startTime.getTime() === new Date(playerData.card_start_time).getTime();
                       
     if (isSameCard) {
+      // The conductor may have extended the running card's timer
+      if (playerData.card_duration && playerData.card_duration !== lastCardRef.current.duration) {
+        console.log(`[${APP_VERSION}] Card duration changed to ${playerData.card_duration}s`);
+        lastCardRef.current = { ...lastCardRef.current, duration: playerData.card_duration };
+        cardEndTimeRef.current = lastCardRef.current.startTime.getTime() + (playerData.card_duration * 1000);
+        return;
+      }
+      
       console.log(`[${APP_VERSION}] Received duplicate card update, ignoring`);
       return;
     }
     
+    // Media kept in the deck is looked up first - the card is shown once its deck is read.
+    // Media missing from a deck read earlier means the deck has been edited since.
+    if (hasDeckMedia(playerData.current_card_data)) {
+      const deckCards = deckCardsRef.current[playerData.current_deck_id];
+      const cardData = deckCards && resolveDeckMedia(playerData.current_card_data, deckCards);
+      const mediaMissing = cardData && ['image', 'audio'].some(kind =>
+        playerData.current_card_data[kind] === CARD_MEDIA_IN_DECK && !cardData[kind]
+      );
+      if (!deckCards || (mediaMissing && !deckRead)) {
+        loadDeckCards(playerData.current_deck_id).then(() => {
+          if (playerRef.current?.current_card === playerData.current_card &&
+              playerRef.current?.card_start_time === playerData.card_start_time) {
+            handleCardDisplay(playerRef.current, true);
+          }
+        });
+        return;
+      }
+      playerData = { ...playerData, current_card_data: cardData };
+    }
+    
+    // Fetch the card's image and audio as soon as it's dealt so the flip is instant
+    preloadCardMedia(playerData.current_card_data, mediaCacheRef.current);
+    
+    // Unison cards are scheduled slightly ahead so every player flips on the same downbeat
+    const scheduledStart = new Date(playerData.card_start_time || new Date()).getTime();
+    if (scheduledStart > getEffectiveNow() + 50) {
+      scheduleCard(playerData, scheduledStart);
+      return;
+    }
+    
     // Clear any existing timer to avoid multiple timers
     if (timerRef.current) {
       console.log(`[${APP_VERSION}] Clearing existing timer for new card`);
@@ -348,8 +543,9 @@ function PlayerView({ pin, name, playerId, onNavigate }) {
       timerRef.current = null;
     }
     
-    // Create the card object
+    // Create the card object - legacy records only carry the card text
     const cardText = playerData.current_card;
+    const cardData = playerData.current_card_data || getCardDisplayData(cardText);
     const startTime = new Date(playerData.card_start_time || new Date());
     const duration = playerData.card_duration || 30;
     
@@ -358,6 +554,11 @@ function PlayerView({ pin, name, playerId, onNavigate }) {
     // Create the new card object
     const newCard = {
       text: cardText,
+      body: cardData.body,
+      tags: cardData.tags || [],
+      color: cardData.color,
+      image: cardData.image || null,
+      audio: cardData.audio || null,
       startTime: startTime,
       duration: duration,
     };
@@ -368,6 +569,15 @@ function PlayerView({ pin, name, playerId, onNavigate }) {
     // Update the UI to show the card
     setCard(newCard);
     
+    // Play the card's audio cue as it flips - not when rejoining partway through a card
+    if (newCard.audio && getConductorNow() - startTime.getTime() < 2000) {
+      const audio = preloadCardMedia(cardData, mediaCacheRef.current);
+      if (audio) {
+        audio.currentTime = 0;
+        audio.play().catch(error => console.error(`[${APP_VERSION}] Could not play card audio:`, error));
+      }
+    }
+    
     // Calculate exact end time and store it for consistency
     const cardStartTime = startTime.getTime();
     const cardEndTime = cardStartTime + (duration * 1000);
@@ -378,14 +588,19 @@ function PlayerView({ pin, name, playerId, onNavigate }) {
     // Send acknowledgment that card was received and displayed
     updatePlayerStatus({ 
       card_received: true,
-      card_acknowledged_at: new Date().toISOString()
+      card_acknowledged_at: new Date(getConductorNow()).toISOString()
     });
     
-    // Timer for internal use only (not displayed to player)
-    if (cardEndTime > Date.now()) {
+    // Card timer - drives expiry and, if the session shows it, the player's timer display
+    setTimeLeftMs(Math.max(0, cardEndTime - getEffectiveNow()));
+    if (cardEndTime > getEffectiveNow()) {
       timerRef.current = setInterval(() => {
-        const currentTime = Date.now();
+        // Timers are frozen while the session is paused
+        if (pausedRef.current) return;
+        
+        const currentTime = getConductorNow();
         const timeRemaining = Math.max(0, cardEndTimeRef.current - currentTime);
+        setTimeLeftMs(Math.ceil(timeRemaining / 100) * 100);
         
         // Only end the timer when we're truly at zero
         if (timeRemaining <= 50) {
@@ -402,7 +617,7 @@ function PlayerView({ pin, name, playerId, onNavigate }) {
           // Mark as ready for next card when timer actually completes
           updatePlayerStatus({ 
             ready_for_card: true,
-            card_ended_at: new Date().toISOString()
+            card_ended_at: new Date(getConductorNow()).toISOString()
           });
         }
       }, 100);
@@ -412,7 +627,7 @@ function PlayerView({ pin, name, playerId, onNavigate }) {
       setWaitingForCard(true);
       updatePlayerStatus({ 
         ready_for_card: true,
-        card_ended_at: new Date().toISOString()
+        card_ended_at: new Date(getConductorNow()).toISOString()
       });
     }
   };
@@ -450,6 +665,7 @@ function PlayerView({ pin, name, playerId, onNavigate }) {
         }
         
         setSession(sessionData);
+        applySessionState(sessionData);
         
         // Get player data directly first thing
         try {
@@ -499,7 +715,7 @@ function PlayerView({ pin, name, playerId, onNavigate }) {
                               playerData.current_card === 'END' || 
                               (playerData.card_start_time && playerData.card_duration && 
                                new Date(playerData.card_start_time).getTime() + 
-                               (playerData.card_duration * 1000) < Date.now());
+                               (playerData.card_duration * 1000) < getConductorNow());
           
           await updatePlayerStatus({
             active: true,
@@ -527,10 +743,14 @@ function PlayerView({ pin, name, playerId, onNavigate }) {
             
             const updatedPlayer = updatedPlayers[0];
             
+            // Answer to our latest clock ping
+            handleClockPong(updatedPlayer.clock_pong);
+            
             // Check if there's an actual change to avoid duplicate processing
             const isNewCard = !playerRef.current || 
                               playerRef.current.current_card !== updatedPlayer.current_card || 
-                              playerRef.current.card_start_time !== updatedPlayer.card_start_time;
+                              playerRef.current.card_start_time !== updatedPlayer.card_start_time ||
+                              playerRef.current.card_duration !== updatedPlayer.card_duration;
                               
             console.log(`[${APP_VERSION}] Player subscription update received:`, {
               id: updatedPlayer.id,
@@ -550,19 +770,42 @@ function PlayerView({ pin, name, playerId, onNavigate }) {
         
         playerSubscriptionRef.current = unsubscribe;
         
+        // Follow the session record for pause/resume
+        if (sessionSubscriptionRef.current) {
+          sessionSubscriptionRef.current();
+        }
+        
+        sessionSubscriptionRef.current = room.collection('session')
+          .filter({ pin })
+          .subscribe(updatedSessions => {
+            if (updatedSessions && updatedSessions.length > 0) {
+              applySessionState(updatedSessions[0]);
+            }
+          });
+        
         // Additional periodic check for card updates in case subscription fails
         const cardCheckInterval = setInterval(async () => {
           try {
+            const latestSessions = await room.collection('session')
+              .filter({ pin })
+              .getList();
+            
+            if (latestSessions.length > 0) {
+              applySessionState(latestSessions[0]);
+            }
+            
             const latestPlayers = await room.collection('player')
               .filter({ id: playerId })
               .getList();
               
             if (latestPlayers.length > 0) {
               const latestPlayer = latestPlayers[0];
+              handleClockPong(latestPlayer.clock_pong);
               
               // Only process if different from current
               if (playerRef.current?.current_card !== latestPlayer.current_card ||
-                  playerRef.current?.card_start_time !== latestPlayer.card_start_time) {
+                  playerRef.current?.card_start_time !== latestPlayer.card_start_time ||
+                  playerRef.current?.card_duration !== latestPlayer.card_duration) {
                 
                 console.log(`[${APP_VERSION}] Detected card change from periodic check:`, {
                   id: latestPlayer.id,
@@ -579,6 +822,18 @@ function PlayerView({ pin, name, playerId, onNavigate }) {
           }
         }, 8000);
         
+        // Clock sync - a quick burst of pings, then one every CLOCK_SYNC_INTERVAL
+        let pingCount = 0;
+        const scheduleClockPing = () => {
+          sendClockPing();
+          pingCount++;
+          clockSyncTimeoutRef.current = setTimeout(
+            scheduleClockPing,
+            pingCount < 4 ? CLOCK_SYNC_FAST_INTERVAL : CLOCK_SYNC_INTERVAL
+          );
+        };
+        scheduleClockPing();
+        
         // Heartbeat to keep player active
         const heartbeatInterval = setInterval(async () => {
           await updatePlayerStatus({ 
@@ -612,6 +867,18 @@ function PlayerView({ pin, name, playerId, onNavigate }) {
         playerSubscriptionRef.current();
       }
       
+      if (sessionSubscriptionRef.current) {
+        sessionSubscriptionRef.current();
+      }
+      
+      if (clockSyncTimeoutRef.current) {
+        clearTimeout(clockSyncTimeoutRef.current);
+      }
+      
+      if (startTimerRef.current) {
+        clearInterval(startTimerRef.current);
+      }
+      
       // Update player status on dismount
       if (playerId) {
         updatePlayerStatus({
@@ -622,7 +889,45 @@ function PlayerView({ pin, name, playerId, onNavigate }) {
     };
   }, [pin, name, playerId]);
 
-  // Simplified player view - just the card text or loading dots
+  // Remaining time shown alongside the card, per the session's timer display setting
+  const secondsLeft = timeLeftMs !== null ? Math.ceil(timeLeftMs / 1000) : null;
+  const showTimer = card && !card.isEnd && !waitingForCard && secondsLeft !== null;
+  const inWarning = showTimer && timerDisplay === 'warning' && secondsLeft <= timerWarningSeconds;
+  
+  const renderTimer = () => {
+    if (!showTimer) return null;
+    
+    if (timerDisplay === 'countdown') {
+      return <div className="card-timer">{formatDuration(secondsLeft)}</div>;
+    }
+    
+    if (timerDisplay === 'ring') {
+      const radius = 26;
+      const circumference = 2 * Math.PI * radius;
+      const fraction = card.duration ? Math.min(1, timeLeftMs / (card.duration * 1000)) : 0;
+      return (
+        <svg className="card-timer-ring" width="64" height="64" viewBox="0 0 64 64">
+          <circle cx="32" cy="32" r={radius} fill="none" stroke="#eee" strokeWidth="6" />
+          <circle
+            cx="32"
+            cy="32"
+            r={radius}
+            fill="none"
+            stroke={card.color || 'var(--primary)'}
+            strokeWidth="6"
+            strokeLinecap="round"
+            strokeDasharray={circumference}
+            strokeDashoffset={circumference * (1 - fraction)}
+            transform="rotate(-90 32 32)"
+          />
+        </svg>
+      );
+    }
+    
+    return null;
+  };
+
+  // Player view - the card text (with optional timer) or loading dots
   return (
     <div className="container">
       <div className="card">
@@ -636,18 +941,41 @@ function PlayerView({ pin, name, playerId, onNavigate }) {
           <div className="error">{error}</div>
         ) : (
           <>
-            {waitingForCard ? (
+            {paused && card && !card.isEnd && (
+              <div className="paused-banner">Paused</div>
+            )}
+            {countdown !== null && !paused && (
+              <div className="start-countdown" key={countdown}>{countdown}</div>
+            )}
+            {waitingForCard && paused ? (
+              <div className="paused-banner">Paused</div>
+            ) : waitingForCard ? (
               <div className="waiting-animation">
                 <div className="dot"></div>
                 <div className="dot"></div>
                 <div className="dot"></div>
               </div>
             ) : (
-              <div className={`card-content ${card !== null ? 'card-new' : ''}`}>
+              <div 
+                className={`card-content ${card !== null ? 'card-new' : ''} ${paused && !card?.isEnd ? 'card-paused' : ''} ${inWarning ? 'card-warning' : ''}`}
+                style={card?.color ? { borderTop: `6px solid ${card.color}`, borderRadius: '8px' } : undefined}
+              >
                 {card && (
-                  <div className="card-text">
-                    {card.text}
-                  </div>
+                  <>
+                    {card.image && (
+                      <img className="card-image" src={card.image} alt={card.text} />
+                    )}
+                    <div className="card-text" style={card.color ? { color: card.color } : undefined}>
+                      {card.text}
+                    </div>
+                    {card.body && <div className="card-body">{card.body}</div>}
+                    {card.tags && card.tags.length > 0 && (
+                      <div className="card-tags">
+                        {card.tags.map(tag => <span key={tag} className="card-tag">{tag}</span>)}
+                      </div>
+                    )}
+                    {renderTimer()}
+                  </>
                 )}
               </div>
             )}
@@ -658,194 +986,1297 @@ function PlayerView({ pin, name, playerId, onNavigate }) {
   );
 }
 
-// Conductor View Component
-function ConductorView({ onNavigate }) {
-  const [step, setStep] = useState('setup'); // setup, session
-  const [pin, setPin] = useState('');
-  const [sessionId, setSessionId] = useState('');
-  const [decks, setDecks] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
-  const [success, setSuccess] = useState('');
-  const [players, setPlayers] = useState([]);
-  const [selectedDeck, setSelectedDeck] = useState('');
-  const [distributionMode, setDistributionMode] = useState('unison');
-  const [minTimerSeconds, setMinTimerSeconds] = useState(30);
-  const [maxTimerSeconds, setMaxTimerSeconds] = useState(90);
-  const [newDeckName, setNewDeckName] = useState('');
-  const [newDeckCards, setNewDeckCards] = useState('');
-  const [autoDistribute, setAutoDistribute] = useState(true);
-  const [showArchivedDecks, setShowArchivedDecks] = useState(false);
-  const [endingSession, setEndingSession] = useState(false);
-  const [endCountdown, setEndCountdown] = useState(5);
-  const fileInputRef = useRef(null);
-  const playersSubscriptionRef = useRef(null);
-  const autoDistributeIntervalRef = useRef(null);
-  const endCountdownRef = useRef(null);
-  const pendingDistributionsRef = useRef(new Set()); // Track players with pending distribution
-  const [unisonCardSequence, setUnisonCardSequence] = useState([]);
-  const [unisonCardIndex, setUnisonCardIndex] = useState(0);
-  const qrCodeRef = useRef(null);
+// Deck Editor Component - per-card details, weight and cooldown settings
+function DeckEditor({ deck, onSave, onCancel, saving }) {
+  const [name, setName] = useState(deck.name);
+  const [tags, setTags] = useState(() => normalizeDeckTags(deck.tags).join(', '));
+  const [cards, setCards] = useState(() => parseDeckCards(deck.cards).map(card => ({
+    ...card,
+    duration: card.duration || '',
+    tags: card.tags.join(', '),
+    color: card.color || ''
+  })));
+  const [expandedIndex, setExpandedIndex] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [mediaError, setMediaError] = useState('');
+  const mediaInputRef = useRef(null);
+  const mediaTargetRef = useRef(null); // { index, kind } the picked file is for
 
-  // Load decks
-  useEffect(() => {
-    const loadDecks = async () => {
-      try {
-        setLoading(true);
-        const deckList = await safeOperation(() => room.collection('deck').getList());
-        // Filter out archived decks unless showArchivedDecks is true
-        const filteredDecks = showArchivedDecks 
-          ? deckList 
-          : deckList.filter(deck => !deck.archived);
-        
-        setDecks(filteredDecks);
-        if (filteredDecks.length > 0 && !selectedDeck) {
-          setSelectedDeck(filteredDecks[0].id);
-        }
-      } catch (error) {
-        setError('Failed to load decks');
-        console.error('Error loading decks:', error);
-      } finally {
-        setLoading(false);
-      }
-    };
+  const updateCard = (index, field, value) => {
+    setCards(prevCards => prevCards.map((card, i) => 
+      i === index ? { ...card, [field]: value } : card
+    ));
+  };
 
-    loadDecks();
-  }, [showArchivedDecks]);
+  // Open the file picker for a card's image or audio
+  const pickMedia = (index, kind) => {
+    mediaTargetRef.current = { index, kind };
+    mediaInputRef.current.accept = `${kind}/*`;
+    mediaInputRef.current.click();
+  };
 
-  // Manual refresh for player list
-  const refreshPlayerList = async (showSuccess = true) => {
-    if (!pin) return;
+  const handleMediaFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file || !mediaTargetRef.current) return;
 
+    const { index, kind } = mediaTargetRef.current;
     try {
-      setLoading(true);
-      setError('');
-      const playerList = await safeOperation(() =>
-        room.collection('player')
-          .filter({ session_pin: pin })
-          .getList()
-      );
-      
-      // Enhanced logging for debugging card information
-      console.log(`[${APP_VERSION}] Refreshed player list:`, playerList.map(p => ({
-        id: p.id,
-        name: p.name, 
-        card: p.current_card,
-        start: p.card_start_time,
-        duration: p.card_duration
-      })));
-      
-      setPlayers(playerList);
-      if (showSuccess) {
-        setSuccess('Player list refreshed');
-        setTimeout(() => setSuccess(''), 2000);
-      }
+      setUploading(true);
+      setMediaError('');
+      const url = await uploadCardMedia(file, kind);
+      setCards(prevCards => prevCards.map((card, i) =>
+        i === index
+          ? { ...card, [kind]: url, title: card.title || file.name.replace(/\.[^.]+$/, '') }
+          : card
+      ));
     } catch (error) {
-      setError('Failed to refresh player list');
-      console.error('Error refreshing players:', error);
+      setMediaError(error.message || `Failed to upload ${kind}`);
+      console.error(`[${APP_VERSION}] Error uploading card ${kind}:`, error);
     } finally {
-      setLoading(false);
+      setUploading(false);
     }
   };
 
-  // Setup player subscription
-  const setupPlayerSubscription = useCallback(() => {
-    if (!pin) return;
-
-    // Clean up previous subscription if it exists
-    if (playersSubscriptionRef.current) {
-      playersSubscriptionRef.current();
-      playersSubscriptionRef.current = null;
-    }
+  const addCard = () => {
+    setCards(prevCards => [...prevCards, {
+      ...normalizeCard(''),
+      duration: '',
+      tags: '',
+      color: ''
+    }]);
+    setExpandedIndex(null);
+  };
 
-    try {
-      // Create new subscription
-      const unsubscribe = room.collection('player')
-        .filter({ session_pin: pin })
-        .subscribe(updatedPlayers => {
-          console.log(`[${APP_VERSION}] Player subscription update received with ${updatedPlayers.length} players`);
-          setPlayers(prevPlayers => {
-            // Always update to ensure we get fresh data
-            console.log(`[${APP_VERSION}] Updating players state with new data`);
-            return updatedPlayers;
-          });
-        });
+  const moveCard = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= cards.length) return;
+    setCards(prevCards => {
+      const next = [...prevCards];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+    setExpandedIndex(null);
+  };
 
-      playersSubscriptionRef.current = unsubscribe;
-      
-      // Add more frequent periodic forced refresh to ensure view stays updated
-      const periodicRefresh = setInterval(() => {
-        refreshPlayerList(false); // Silent refresh (no success message)
-      }, 3000); // More frequent refreshes
-      
-      return () => {
-        clearInterval(periodicRefresh);
-        if (playersSubscriptionRef.current) {
-          playersSubscriptionRef.current();
-          playersSubscriptionRef.current = null;
-        }
-      };
-    } catch (error) {
-      console.error(`[${APP_VERSION}] Error setting up player subscription:`, error);
-      setError('Error setting up player tracking');
-    }
-  }, [pin]);
+  const removeCard = (index) => {
+    setCards(prevCards => prevCards.filter((_, i) => i !== index));
+    setExpandedIndex(null);
+  };
 
-  // Function to toggle deck archive status
-  const toggleDeckArchive = async (deckId, isCurrentlyArchived) => {
-    try {
-      setLoading(true);
-      await safeOperation(() => 
-        room.collection('deck').update(deckId, {
-          archived: !isCurrentlyArchived
-        })
-      );
-      
-      // Update local state to reflect changes
-      setDecks(prevDecks => 
-        prevDecks.map(deck => 
-          deck.id === deckId ? {...deck, archived: !isCurrentlyArchived} : deck
-        )
-      );
-      
-      setSuccess(`Deck ${isCurrentlyArchived ? 'restored' : 'archived'}`);
-      setTimeout(() => setSuccess(''), 2000);
-    } catch (error) {
-      setError('Failed to update deck');
-      console.error('Error updating deck:', error);
-    } finally {
-      setLoading(false);
-    }
+  const handleSave = () => {
+    onSave(deck.id, name.trim(), parseDeckCards(cards), normalizeDeckTags(tags));
   };
 
-  // Function to delete a deck
-  const deleteDeck = async (deckId) => {
-    if (!confirm('Are you sure you want to permanently delete this deck?')) {
+  const validCardCount = cards.filter(card => card.title.trim()).length;
+
+  return (
+    <div className="deck-editor">
+      <h4 className="deck-editor-title">Edit "{deck.name}"</h4>
+      <input
+        type="text"
+        className="input"
+        placeholder="Deck Name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+      />
+      <input
+        type="text"
+        className="input"
+        placeholder="Deck tags, comma separated (e.g. warmup, texture)"
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+      />
+      <div className="deck-editor-row deck-editor-header">
+        <span></span>
+        <span className="deck-editor-text">Card</span>
+        <span>Weight</span>
+        <span>Cooldown (cards)</span>
+        <span>Cooldown (s)</span>
+        <span></span>
+      </div>
+      <div className="deck-editor-list">
+        {cards.map((card, index) => (
+          <div key={index}>
+            <div className="deck-editor-row">
+              <button
+                className="deck-editor-toggle"
+                title="Show details"
+                onClick={() => setExpandedIndex(expandedIndex === index ? null : index)}
+              >
+                {expandedIndex === index ? '▾' : '▸'}
+              </button>
+              <input
+                type="text"
+                className="input"
+                placeholder="Card text"
+                style={{ borderLeft: card.color ? `3px solid ${card.color}` : undefined }}
+                value={card.title}
+                onChange={(e) => updateCard(index, 'title', e.target.value)}
+              />
+              <input
+                type="number"
+                className="input"
+                min="0"
+                step="0.5"
+                value={card.weight}
+                onChange={(e) => updateCard(index, 'weight', e.target.value)}
+              />
+              <input
+                type="number"
+                className="input"
+                min="0"
+                value={card.cooldown_cards}
+                onChange={(e) => updateCard(index, 'cooldown_cards', e.target.value)}
+              />
+              <input
+                type="number"
+                className="input"
+                min="0"
+                value={card.cooldown_seconds}
+                onChange={(e) => updateCard(index, 'cooldown_seconds', e.target.value)}
+              />
+              <div className="deck-editor-actions">
+                <button onClick={() => moveCard(index, -1)} disabled={index === 0}>▲</button>
+                <button onClick={() => moveCard(index, 1)} disabled={index === cards.length - 1}>▼</button>
+                <button onClick={() => removeCard(index)} style={{ color: 'var(--error)' }}>✕</button>
+              </div>
+            </div>
+            {expandedIndex === index && (
+              <div className="deck-editor-details">
+                <textarea
+                  className="input"
+                  rows="2"
+                  placeholder="Instructions (optional)"
+                  value={card.body}
+                  onChange={(e) => updateCard(index, 'body', e.target.value)}
+                ></textarea>
+                <div style={{ display: 'flex', gap: '6px' }}>
+                  <input
+                    type="number"
+                    className="input"
+                    min="0"
+                    placeholder="Fixed duration (s)"
+                    value={card.duration}
+                    onChange={(e) => updateCard(index, 'duration', e.target.value)}
+                  />
+                  <input
+                    type="text"
+                    className="input"
+                    placeholder="Tags, comma separated"
+                    value={card.tags}
+                    onChange={(e) => updateCard(index, 'tags', e.target.value)}
+                  />
+                  <input
+                    type="color"
+                    className="input"
+                    style={{ width: '50px', padding: '2px', opacity: card.color ? 1 : 0.4 }}
+                    title={card.color ? 'Card color' : 'No color - pick one to tint the card'}
+                    value={card.color || '#ff4e8a'}
+                    onChange={(e) => updateCard(index, 'color', e.target.value)}
+                  />
+                  {card.color && (
+                    <div className="deck-editor-actions">
+                      <button onClick={() => updateCard(index, 'color', '')} title="Remove the card's color">No color</button>
+                    </div>
+                  )}
+                </div>
+                <div className="deck-editor-media">
+                  {card.image && <img src={card.image} alt={card.title} />}
+                  <button onClick={() => pickMedia(index, 'image')} disabled={uploading}>
+                    {card.image ? 'Replace image' : 'Add image'}
+                  </button>
+                  {card.image && (
+                    <button onClick={() => updateCard(index, 'image', null)} style={{ color: 'var(--error)' }}>✕</button>
+                  )}
+                </div>
+                <div className="deck-editor-media">
+                  {card.audio && <audio src={card.audio} controls />}
+                  <button onClick={() => pickMedia(index, 'audio')} disabled={uploading}>
+                    {card.audio ? 'Replace audio' : 'Add audio cue'}
+                  </button>
+                  {card.audio && (
+                    <button onClick={() => updateCard(index, 'audio', null)} style={{ color: 'var(--error)' }}>✕</button>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      <input
+        type="file"
+        ref={mediaInputRef}
+        onChange={handleMediaFile}
+        style={{ display: 'none' }}
+      />
+      {uploading && <p className="notice">Uploading...</p>}
+      {mediaError && <div className="error">{mediaError}</div>}
+      <button className="btn btn-outline btn-block" onClick={addCard}>
+        Add Card
+      </button>
+      <p className="notice">A weight of 0 keeps a card out of rotation. Cooldowns stop a card being re-dealt to the same player within that many cards or seconds. A fixed duration overrides the session timer range. Cards left blank are dropped on save.</p>
+      <div style={{ display: 'flex', gap: '10px' }}>
+        <button 
+          className="btn" 
+          style={{ flex: 1 }} 
+          onClick={handleSave} 
+          disabled={saving || uploading || !name.trim() || validCardCount === 0}
+        >
+          {saving ? 'Saving...' : 'Save Deck'}
+        </button>
+        <button className="btn btn-outline" style={{ flex: 1 }} onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Score Editor Component - ordered cues with durations and optional deck changes
+function ScoreEditor({ score, decks, defaultDeckId, onSave, onCancel, saving }) {
+  const [name, setName] = useState(score?.name || '');
+  const [entries, setEntries] = useState(() => (score?.entries || []).map(entry => ({ ...entry })));
+
+  const updateEntry = (index, field, value) => {
+    setEntries(prevEntries => prevEntries.map((entry, i) => 
+      i === index ? { ...entry, [field]: value } : entry
+    ));
+  };
+
+  const addEntry = () => {
+    const previous = entries[entries.length - 1];
+    setEntries(prevEntries => [...prevEntries, {
+      section: previous?.section || '',
+      deck_id: previous?.deck_id || defaultDeckId || '',
+      card: '',
+      duration: previous?.duration || 30
+    }]);
+  };
+
+  const moveEntry = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= entries.length) return;
+    setEntries(prevEntries => {
+      const next = [...prevEntries];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const removeEntry = (index) => {
+    setEntries(prevEntries => prevEntries.filter((_, i) => i !== index));
+  };
+
+  const handleSave = () => {
+    onSave(score?.id || null, name.trim(), entries.map(entry => ({
+      section: (entry.section || '').trim(),
+      deck_id: entry.deck_id || '',
+      card: (entry.card || '').trim(),
+      duration: Math.max(1, parseInt(entry.duration) || 30)
+    })));
+  };
+
+  return (
+    <div className="deck-editor">
+      <h4 className="deck-editor-title">{score ? `Edit "${score.name}"` : 'New Score'}</h4>
+      <input
+        type="text"
+        className="input"
+        placeholder="Score Name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+      />
+      <div className="deck-editor-list">
+        {entries.map((entry, index) => {
+          const entryDeck = decks.find(deck => deck.id === entry.deck_id);
+          const deckCards = parseDeckCards(entryDeck?.cards);
+          return (
+            <div key={index} className="score-entry">
+              <div className="score-entry-index">{index + 1}</div>
+              <div style={{ flex: 1 }}>
+                <div style={{ display: 'flex', gap: '6px' }}>
+                  <input
+                    type="text"
+                    className="input"
+                    placeholder="Section"
+                    value={entry.section}
+                    onChange={(e) => updateEntry(index, 'section', e.target.value)}
+                  />
+                  <select
+                    className="input"
+                    value={entry.deck_id}
+                    onChange={(e) => updateEntry(index, 'deck_id', e.target.value)}
+                  >
+                    <option value="">Session deck</option>
+                    {decks.map(deck => (
+                      <option key={deck.id} value={deck.id}>{deck.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div style={{ display: 'flex', gap: '6px' }}>
+                  <input
+                    type="text"
+                    className="input"
+                    placeholder="Card (blank = random from deck)"
+                    list={`score-cards-${index}`}
+                    value={entry.card}
+                    onChange={(e) => updateEntry(index, 'card', e.target.value)}
+                  />
+                  <datalist id={`score-cards-${index}`}>
+                    {deckCards.map(card => <option key={card.title} value={card.title} />)}
+                  </datalist>
+                  <input
+                    type="number"
+                    className="input"
+                    style={{ width: '90px' }}
+                    min="1"
+                    title="Duration (seconds)"
+                    value={entry.duration}
+                    onChange={(e) => updateEntry(index, 'duration', e.target.value)}
+                  />
+                </div>
+              </div>
+              <div className="score-entry-actions">
+                <button onClick={() => moveEntry(index, -1)} disabled={index === 0}>▲</button>
+                <button onClick={() => moveEntry(index, 1)} disabled={index === entries.length - 1}>▼</button>
+                <button onClick={() => removeEntry(index)} style={{ color: 'var(--error)' }}>✕</button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      <button className="btn btn-outline btn-block" onClick={addEntry}>
+        Add Cue
+      </button>
+      <div style={{ display: 'flex', gap: '10px' }}>
+        <button 
+          className="btn" 
+          style={{ flex: 1 }} 
+          onClick={handleSave} 
+          disabled={saving || !name.trim() || entries.length === 0}
+        >
+          {saving ? 'Saving...' : 'Save Score'}
+        </button>
+        <button className="btn btn-outline" style={{ flex: 1 }} onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Group Settings Component - a section of the ensemble with its own deck, mode and timer range
+function GroupSettings({ group, decks, members, onChange, onDelete, onDropPlayer }) {
+  const [name, setName] = useState(group.name);
+  const [dragOver, setDragOver] = useState(false);
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    const playerId = e.dataTransfer.getData('text/plain');
+    if (playerId) onDropPlayer(playerId);
+  };
+
+  return (
+    <div
+      className={`group-panel ${dragOver ? 'group-panel-over' : ''}`}
+      onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
+      onDragLeave={() => setDragOver(false)}
+      onDrop={handleDrop}
+    >
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+        <input
+          type="text"
+          className="input"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={() => name.trim() && name.trim() !== group.name && onChange({ name: name.trim() })}
+          style={{ fontWeight: 'bold' }}
+        />
+        <button className="group-delete" onClick={onDelete} title="Delete group">✕</button>
+      </div>
+      <div style={{ display: 'flex', gap: '6px' }}>
+        <select
+          className="input"
+          value={group.deck_id || ''}
+          onChange={(e) => onChange({ deck_id: e.target.value })}
+        >
+          <option value="">Session deck</option>
+          {decks.map(deck => (
+            <option key={deck.id} value={deck.id}>{deck.name}</option>
+          ))}
+        </select>
+        <select
+          className="input"
+          value={group.distribution_mode || ''}
+          onChange={(e) => onChange({ distribution_mode: e.target.value })}
+        >
+          <option value="">Session mode</option>
+          <option value="unison">Unison</option>
+          <option value="unique">Unique</option>
+          <option value="random">Random</option>
+        </select>
+      </div>
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+        <input
+          type="number"
+          className="input"
+          min="5"
+          placeholder="Min s"
+          value={group.min_timer_seconds || ''}
+          onChange={(e) => onChange({ min_timer_seconds: parseInt(e.target.value) || null })}
+        />
+        <span>-</span>
+        <input
+          type="number"
+          className="input"
+          min="5"
+          placeholder="Max s"
+          value={group.max_timer_seconds || ''}
+          onChange={(e) => onChange({ max_timer_seconds: parseInt(e.target.value) || null })}
+        />
+      </div>
+      <div className="group-members">
+        {members.length > 0
+          ? members.map(player => <span key={player.id} className="card-tag">{player.name}</span>)
+          : <span className="notice">Drag players here</span>}
+      </div>
+    </div>
+  );
+}
+
+// Send Card Panel Component - conductor override for one or more chosen players
+function SendCardPanel({ targets, decks, defaultDeckId, onSend, onCancel, sending }) {
+  const [deckId, setDeckId] = useState(defaultDeckId || decks[0]?.id || '');
+  const [cardTitle, setCardTitle] = useState(''); // blank = random card from the deck
+  const [customText, setCustomText] = useState('');
+  const [duration, setDuration] = useState('');
+  const deckCards = parseDeckCards(decks.find(deck => deck.id === deckId)?.cards);
+
+  return (
+    <div className="deck-editor">
+      <h4 className="deck-editor-title">
+        Send card to {targets.map(player => player.name).join(', ')}
+      </h4>
+      <div style={{ display: 'flex', gap: '6px' }}>
+        <select
+          className="input"
+          value={deckId}
+          onChange={(e) => {
+            setDeckId(e.target.value);
+            setCardTitle('');
+          }}
+          disabled={customText.trim().length > 0}
+        >
+          {decks.map(deck => (
+            <option key={deck.id} value={deck.id}>{deck.name}</option>
+          ))}
+        </select>
+        <select
+          className="input"
+          value={cardTitle}
+          onChange={(e) => setCardTitle(e.target.value)}
+          disabled={customText.trim().length > 0}
+        >
+          <option value="">Random card</option>
+          {deckCards.map(card => (
+            <option key={card.title} value={card.title}>{card.title}</option>
+          ))}
+        </select>
+      </div>
+      <input
+        type="text"
+        className="input"
+        placeholder="Or type a card to send"
+        value={customText}
+        onChange={(e) => setCustomText(e.target.value)}
+      />
+      <input
+        type="number"
+        className="input"
+        min="1"
+        placeholder="Duration in seconds (blank = card or timer range)"
+        value={duration}
+        onChange={(e) => setDuration(e.target.value)}
+      />
+      <div style={{ display: 'flex', gap: '10px' }}>
+        <button
+          className="btn"
+          style={{ flex: 1 }}
+          onClick={() => onSend({ deckId, cardTitle, customText: customText.trim(), duration: parseInt(duration) || null })}
+          disabled={sending || (!deckId && !customText.trim())}
+        >
+          {sending ? 'Sending...' : 'Send Now'}
+        </button>
+        <button className="btn btn-outline" style={{ flex: 1 }} onClick={onCancel} disabled={sending}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Deck History Component - a deck's revisions with what changed and one-click restore
+function DeckHistory({ deck, onRestore, onClose, restoring }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedRevision, setExpandedRevision] = useState(null);
+
+  useEffect(() => {
+    loadDeckRevisions(deck.id)
+      .then(setRevisions)
+      .catch(error => console.error(`[${APP_VERSION}] Error loading deck revisions:`, error))
+      .finally(() => setLoading(false));
+  }, [deck.id]);
+
+  return (
+    <div className="deck-editor">
+      <h4 className="deck-editor-title">History of "{deck.name}"</h4>
+      {loading ? (
+        <p className="notice">Loading revisions...</p>
+      ) : revisions.length === 0 ? (
+        <p className="notice">No revisions yet - one is kept every time this deck is edited, imported over or restored.</p>
+      ) : (
+        <div className="deck-editor-list">
+          {revisions.map(revision => {
+            const isCurrent = revision.revision === deck.revision;
+            const expanded = expandedRevision === revision.revision;
+            return (
+              <div key={revision.id} className="deck-revision">
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                  <span
+                    style={{ flex: 1, cursor: 'pointer' }}
+                    onClick={() => setExpandedRevision(expanded ? null : revision.revision)}
+                  >
+                    {expanded ? '▾' : '▸'} <strong>r{revision.revision}</strong> {revision.source} · {new Date(revision.created_at).toLocaleString()}
+                  </span>
+                  <span className="deck-revision-diff">
+                    <span style={{ color: 'var(--success)' }}>+{revision.added.length}</span>{' '}
+                    <span style={{ color: 'var(--error)' }}>−{revision.removed.length}</span>{' '}
+                    <span>~{revision.changed.length}</span>
+                  </span>
+                  {isCurrent ? (
+                    <span style={{ fontSize: '12px', color: 'var(--text-light)' }}>current</span>
+                  ) : (
+                    <button
+                      className="deck-revision-restore"
+                      onClick={() => onRestore(revision)}
+                      disabled={restoring}
+                    >
+                      Restore
+                    </button>
+                  )}
+                </div>
+                {expanded && (
+                  <div className="deck-revision-details">
+                    <div>{revision.name} - {revision.card_count} cards</div>
+                    {revision.added.map(title => <div key={`+${title}`} style={{ color: 'var(--success)' }}>+ {title}</div>)}
+                    {revision.removed.map(title => <div key={`-${title}`} style={{ color: 'var(--error)' }}>− {title}</div>)}
+                    {revision.changed.map(title => <div key={`~${title}`}>~ {title}</div>)}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+      <button className="btn btn-outline btn-block" onClick={onClose}>
+        Close
+      </button>
+    </div>
+  );
+}
+
+// Import Preview Component - parsed decks with warnings, confirmed before anything is created
+function ImportPreview({ items, onChange, onConfirm, onCancel, importing }) {
+  const importCount = items.filter(item => item.include && item.action !== 'skip').length;
+
+  return (
+    <div className="deck-editor">
+      <h4 className="deck-editor-title">Import Preview</h4>
+      <div className="deck-editor-list">
+        {items.map(item => (
+          <div key={item.key} className="import-item">
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <input
+                type="checkbox"
+                checked={item.include}
+                disabled={!item.name || item.cards.length === 0}
+                onChange={(e) => onChange(item.key, { include: e.target.checked })}
+              />
+              <span style={{ flex: 1, fontWeight: 'bold' }}>{item.name || '(unnamed)'}</span>
+              <span style={{ fontSize: '12px', color: 'var(--text-light)' }}>{item.cards.length} cards</span>
+            </div>
+            {item.warnings.length > 0 && (
+              <ul className="import-warnings">
+                {item.warnings.map(warning => <li key={warning}>{warning}</li>)}
+              </ul>
+            )}
+            {item.existingDeckId && item.include && (
+              <select
+                className="input"
+                value={item.action}
+                onChange={(e) => onChange(item.key, { action: e.target.value })}
+              >
+                <option value="skip">Skip - keep the existing deck</option>
+                <option value="merge">Merge - add new cards to the existing deck</option>
+                <option value="replace">Replace - overwrite the existing deck's cards</option>
+                <option value="create">Keep both - import as a separate deck</option>
+              </select>
+            )}
+          </div>
+        ))}
+      </div>
+      <div style={{ display: 'flex', gap: '10px' }}>
+        <button className="btn" style={{ flex: 1 }} onClick={onConfirm} disabled={importing || importCount === 0}>
+          {importing ? 'Importing...' : `Import ${importCount} Deck${importCount !== 1 ? 's' : ''}`}
+        </button>
+        <button className="btn btn-outline" style={{ flex: 1 }} onClick={onCancel} disabled={importing}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Card, deck and timer shown for one player in the conductor's player grid
+function PlayerCardStatus({ player, now, decks }) {
+  const { timeRemaining, startsIn } = getPlayerTimer(player, now);
+  const cardData = resolveDeckMedia(player.current_card_data, decks.find(deck => deck.id === player.current_deck_id)?.cards);
+
+  return (
+    <>
+      {player.current_card && player.current_card !== 'END' ? (
+        <div className="player-current-card" style={cardData?.color ? {
+          borderLeft: `3px solid ${cardData.color}`,
+          paddingLeft: '5px'
+        } : undefined}>
+          {cardData?.image && (
+            <img className="card-image-mini" src={cardData.image} alt="" />
+          )}
+          <div className="card-text-mini" title={cardData?.body || player.current_card}>
+            {cardData?.audio && '♪ '}{player.current_card}
+          </div>
+          {cardData?.tags?.length > 0 && (
+            <div className="card-source">{cardData.tags.join(', ')}</div>
+          )}
+          <div className="card-source" style={{
+            display: 'flex',
+            justifyContent: 'space-between'
+          }}>
+            <span>From: {player.current_deck_name || "Unknown"}</span>
+            {startsIn !== null ? (
+              <span style={{ fontWeight: 'bold', color: 'var(--accent)' }}>in {startsIn}s</span>
+            ) : timeRemaining !== null && (
+              <span style={{
+                fontWeight: 'bold',
+                color: timeRemaining < 5 ? 'var(--error)' : 'var(--accent)'
+              }}>
+                {timeRemaining}s
+              </span>
+            )}
+          </div>
+          <div style={{
+            marginTop: '5px',
+            height: '4px',
+            backgroundColor: '#eee',
+            borderRadius: '2px',
+            overflow: 'hidden'
+          }}>
+            {timeRemaining !== null && player.card_duration && (
+              <div style={{
+                height: '100%',
+                width: `${(timeRemaining / player.card_duration) * 100}%`,
+                backgroundColor: 'var(--primary)',
+                transition: 'width 1s linear'
+              }}></div>
+            )}
+          </div>
+        </div>
+      ) : player.current_card === 'END' ? (
+        <div className="player-card-ended">Session Ended</div>
+      ) : (
+        <div className="player-card-waiting">Waiting for card</div>
+      )}
+    </>
+  );
+}
+
+// Conductor View Component
+function ConductorView({ onNavigate }) {
+  const [step, setStep] = useState('setup'); // setup, session
+  const [pin, setPin] = useState('');
+  const [sessionId, setSessionId] = useState('');
+  const [decks, setDecks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [players, setPlayers] = useState([]);
+  const [selectedDeck, setSelectedDeck] = useState('');
+  const [distributionMode, setDistributionMode] = useState('unison');
+  const [minTimerSeconds, setMinTimerSeconds] = useState(30);
+  const [maxTimerSeconds, setMaxTimerSeconds] = useState(90);
+  const [newDeckName, setNewDeckName] = useState('');
+  const [newDeckCards, setNewDeckCards] = useState('');
+  const [autoDistribute, setAutoDistribute] = useState(true);
+  const [showArchivedDecks, setShowArchivedDecks] = useState(false);
+  const [editingDeckId, setEditingDeckId] = useState(null);
+  const [exportDeckIds, setExportDeckIds] = useState([]);
+  const [deckExportFormat, setDeckExportFormat] = useState('json');
+  const [importPreview, setImportPreview] = useState(null); // decks parsed from a file, awaiting confirmation
+  const [historyDeckId, setHistoryDeckId] = useState(null);
+  const [deckQuery, setDeckQuery] = useState('');
+  const [deckTagFilter, setDeckTagFilter] = useState('');
+  const [deckSort, setDeckSort] = useState('name'); // name, newest, cards, last_used
+  const [deckMixEnabled, setDeckMixEnabled] = useState(false);
+  const [deckMix, setDeckMix] = useState([]); // [{ deck_id, proportion }] dealt together for the session
+  const [endingSession, setEndingSession] = useState(false);
+  const [endCountdown, setEndCountdown] = useState(5);
+  const fileInputRef = useRef(null);
+  const playersSubscriptionRef = useRef(null);
+  const endCountdownRef = useRef(null);
+  const [groups, setGroups] = useState([]);
+  const [newGroupName, setNewGroupName] = useState('');
+  const [selectedPlayerIds, setSelectedPlayerIds] = useState([]);
+  const [sendTargetIds, setSendTargetIds] = useState(null); // players the send panel is open for
+  const [paused, setPaused] = useState(false);
+  const [pausedAt, setPausedAt] = useState(null); // ms timestamp of the current pause
+  const [unisonLeadSeconds, setUnisonLeadSeconds] = useState(DEFAULT_UNISON_LEAD_SECONDS);
+  const [playerTimerDisplay, setPlayerTimerDisplay] = useState('hidden');
+  const [timerWarningSeconds, setTimerWarningSeconds] = useState(DEFAULT_TIMER_WARNING_SECONDS);
+  const [scores, setScores] = useState([]);
+  const [selectedScoreId, setSelectedScoreId] = useState('');
+  const [editingScoreId, setEditingScoreId] = useState(null); // score id, or 'new'
+  const [scoreIndex, setScoreIndex] = useState(0);
+  const [scorePlaying, setScorePlaying] = useState(false);
+  const [scoreMatchBy, setScoreMatchBy] = useState('name'); // how recorded scores find their players: name, seat
+  const answeredPingsRef = useRef(new Set()); // Clock ping ids already answered
+  const playerSnapshotRef = useRef({}); // Last seen state per player, for the event log
+  const [lastSessionId, setLastSessionId] = useState(''); // Ended session whose log can still be exported
+  const [seedInput, setSeedInput] = useState(''); // optional seed typed in before creating a session
+  const [sessionSeed, setSessionSeed] = useState('');
+  const engineRef = useRef(null); // distribution engine, while this client is in control
+  const sessionRecordRef = useRef({}); // last session record loaded, for the engine to start from
+  const [recoverableSessions, setRecoverableSessions] = useState([]); // open sessions this conductor can resume
+  const [joinPin, setJoinPin] = useState(''); // another conductor's session, to co-conduct or observe
+  const [joinCode, setJoinCode] = useState('');
+  const [conductorRole, setConductorRole] = useState('conductor'); // conductor, observer
+  const [adminCode, setAdminCode] = useState(''); // code a co-conductor needs to join
+  const [sessionLease, setSessionLease] = useState(null); // { client_id, expires_at } of the conductor in control
+  const [handoverRequest, setHandoverRequest] = useState(null); // { client_id, at } of a co-conductor asking for control
+  const clientIdRef = useRef(getConductorClientId());
+  const inControlRef = useRef(false);
+  const qrCodeRef = useRef(null);
+
+  // Only the lease holder deals, answers clock pings and writes the event log
+  const inControl = conductorRole === 'conductor' && sessionLease?.client_id === clientIdRef.current;
+  inControlRef.current = inControl;
+
+  // The session's decks combined by proportion, or null when dealing from one deck
+  const sessionDeckMix = deckMixEnabled ? buildDeckMix(deckMix, decks) : null;
+
+  // Deck library as searched, filtered and sorted in setup
+  const libraryDecks = filterDecks(decks, { query: deckQuery, tag: deckTagFilter, sortBy: deckSort });
+
+  // Load decks
+  useEffect(() => {
+    const loadDecks = async () => {
+      try {
+        setLoading(true);
+        const deckList = await safeOperation(() => room.collection('deck').getList());
+        // Filter out archived decks unless showArchivedDecks is true
+        const filteredDecks = showArchivedDecks 
+          ? deckList 
+          : deckList.filter(deck => !deck.archived);
+        
+        setDecks(filteredDecks);
+        if (filteredDecks.length > 0 && !selectedDeck) {
+          setSelectedDeck(filteredDecks[0].id);
+        }
+      } catch (error) {
+        setError('Failed to load decks');
+        console.error('Error loading decks:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadDecks();
+
+    // Keep decks live so edits (from here or another conductor) reach a running session
+    const unsubscribe = room.collection('deck').subscribe(deckList => {
+      setDecks(showArchivedDecks ? deckList : deckList.filter(deck => !deck.archived));
+    });
+
+    return () => unsubscribe();
+  }, [showArchivedDecks]);
+
+  // Load scores
+  useEffect(() => {
+    const loadScores = async () => {
+      try {
+        const scoreList = await safeOperation(() => room.collection('score').getList());
+        setScores(scoreList);
+        if (scoreList.length > 0 && !selectedScoreId) {
+          setSelectedScoreId(scoreList[0].id);
+        }
+      } catch (error) {
+        console.error('Error loading scores:', error);
+      }
+    };
+
+    loadScores();
+  }, []);
+
+  // Look for open sessions to resume whenever the conductor is back at setup
+  useEffect(() => {
+    if (step !== 'setup') return;
+
+    findRecoverableSessions()
+      .then(setRecoverableSessions)
+      .catch(error => console.error(`[${APP_VERSION}] Error finding sessions to resume:`, error));
+  }, [step]);
+
+  // Keep the session record in step with deck, mix and timer changes made mid-session, so a
+  // recovered conductor picks up the same settings
+  useEffect(() => {
+    if (step !== 'session' || !sessionId || !inControl) return;
+
+    const saveTimeout = setTimeout(() => {
+      room.collection('session').update(sessionId, {
+        selected_deck_id: selectedDeck,
+        deck_mix: deckMixEnabled ? deckMix : [],
+        min_timer_seconds: minTimerSeconds,
+        max_timer_seconds: maxTimerSeconds
+      }).catch(error => console.error(`[${APP_VERSION}] Error saving session settings:`, error));
+    }, 1000);
+
+    return () => clearTimeout(saveTimeout);
+  }, [step, sessionId, inControl, selectedDeck, deckMixEnabled, deckMix, minTimerSeconds, maxTimerSeconds]);
+
+  // Conductor lease heartbeat - the client in control renews its lease and watches for
+  // handover requests; a co-conductor mirrors the session and takes control once the
+  // lease lapses or is handed to it; an observer only mirrors
+  useEffect(() => {
+    if (step !== 'session' || !sessionId) return;
+
+    const heartbeat = setInterval(async () => {
+      try {
+        const clientId = clientIdRef.current;
+        const current = (await safeOperation(() =>
+          room.collection('session').filter({ id: sessionId }).getList()
+        ))[0];
+        if (!current) return;
+
+        // The conductor in control ended the session
+        if (current.ended) {
+          if (!inControlRef.current) {
+            leaveSession();
+            setSuccess('The session has ended');
+            setTimeout(() => setSuccess(''), 3000);
+          }
+          return;
+        }
+
+        const lease = current.conductor_lease;
+        if (conductorRole === 'observer') {
+          applySessionRecord(current);
+        } else if (lease?.client_id === clientId) {
+          if (!inControlRef.current) {
+            // Handed control - carry on from the record the previous conductor left
+            applySessionRecord(current);
+            setSuccess('You are now in control of the session');
+            setTimeout(() => setSuccess(''), 3000);
+          }
+          const renewed = createConductorLease(clientId);
+          await safeOperation(() =>
+            room.collection('session').update(sessionId, { conductor_lease: renewed })
+          );
+          setSessionLease(renewed);
+          setHandoverRequest(current.handover_request || null);
+        } else if (!isLeaseActive(lease)) {
+          // The conductor in control has gone quiet - take over
+          const claimed = await claimConductorLease(sessionId, clientId);
+          applySessionRecord(claimed || current);
+          if (claimed) {
+            logSessionEvent(sessionId, 'takeover', { details: 'lease expired' });
+            console.log(`[${APP_VERSION}] Took control of session ${current.pin} after its lease expired`);
+          }
+        } else {
+          if (inControlRef.current) {
+            setSuccess('Another conductor has taken control');
+            setTimeout(() => setSuccess(''), 3000);
+          }
+          applySessionRecord(current);
+        }
+      } catch (error) {
+        console.error(`[${APP_VERSION}] Error in conductor heartbeat:`, error);
+      }
+    }, CONDUCTOR_HEARTBEAT_INTERVAL);
+
+    return () => clearInterval(heartbeat);
+  }, [step, sessionId, conductorRole, scores]);
+
+  // Answer clock pings and log player changes - only the conductor in control does either
+  const trackPlayers = (playerList) => {
+    if (!inControlRef.current) return;
+
+    answerClockPings(playerList, answeredPingsRef.current);
+    if (sessionId) recordPlayerEvents(sessionId, playerList, playerSnapshotRef.current);
+  };
+
+  // Download the event log of the current (or last ended) session
+  const exportSessionLog = async (format) => {
+    const exportSessionId = sessionId || lastSessionId;
+    if (!exportSessionId) return;
+
+    try {
+      setLoading(true);
+      const sessionList = await safeOperation(() => room.collection('session').getList());
+      const session = sessionList.find(item => item.id === exportSessionId);
+      if (!session) {
+        setError('Session not found');
+        return;
+      }
+
+      const events = await loadSessionEvents(exportSessionId);
+      const log = buildSessionLog(session, events);
+      const filename = `session-${session.pin}-${session.created_at.slice(0, 10)}`;
+
+      if (format === 'csv') {
+        downloadFile(`${filename}.csv`, toCsv(SESSION_LOG_COLUMNS, log.events), 'text/csv');
+      } else {
+        downloadFile(`${filename}.json`, JSON.stringify(log, null, 2), 'application/json');
+      }
+
+      setSuccess(`Exported ${events.length} events`);
+      setTimeout(() => setSuccess(''), 2000);
+    } catch (error) {
+      setError('Failed to export session log');
+      console.error('Error exporting session log:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Turn the last session's deal history into a score that replays it exactly
+  const saveSessionAsScore = async () => {
+    if (!lastSessionId) return;
+
+    try {
+      setLoading(true);
+      const sessionList = await safeOperation(() => room.collection('session').getList());
+      const session = sessionList.find(item => item.id === lastSessionId);
+      const events = session ? await loadSessionEvents(session.id) : [];
+      if (!events.some(event => event.type === 'deal')) {
+        setError('No cards were dealt in the last session');
+        return;
+      }
+
+      const score = await createScoreFromSessionLog(
+        buildSessionLog(session, events),
+        `Session ${session.pin} (${new Date(session.created_at).toLocaleDateString()})`
+      );
+      setScores(prevScores => [score, ...prevScores]);
+      setSelectedScoreId(score.id);
+      setSuccess(`Saved last session as score "${score.name}" with ${score.cue_count} cues`);
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      setError('Failed to save session as score');
+      console.error('Error saving session as score:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Manual refresh for player list
+  const refreshPlayerList = async (showSuccess = true) => {
+    if (!pin) return;
+
+    try {
+      setLoading(true);
+      setError('');
+      const playerList = await safeOperation(() =>
+        room.collection('player')
+          .filter({ session_pin: pin })
+          .getList()
+      );
+      
+      // Enhanced logging for debugging card information
+      console.log(`[${APP_VERSION}] Refreshed player list:`, playerList.map(p => ({
+        id: p.id,
+        name: p.name, 
+        card: p.current_card,
+        start: p.card_start_time,
+        duration: p.card_duration
+      })));
+      
+      trackPlayers(playerList);
+      setPlayers(playerList);
+      if (showSuccess) {
+        setSuccess('Player list refreshed');
+        setTimeout(() => setSuccess(''), 2000);
+      }
+    } catch (error) {
+      setError('Failed to refresh player list');
+      console.error('Error refreshing players:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Setup player subscription
+  const setupPlayerSubscription = useCallback(() => {
+    if (!pin) return;
+
+    // Clean up previous subscription if it exists
+    if (playersSubscriptionRef.current) {
+      playersSubscriptionRef.current();
+      playersSubscriptionRef.current = null;
+    }
+
+    try {
+      // Create new subscription
+      const unsubscribe = room.collection('player')
+        .filter({ session_pin: pin })
+        .subscribe(updatedPlayers => {
+          console.log(`[${APP_VERSION}] Player subscription update received with ${updatedPlayers.length} players`);
+          trackPlayers(updatedPlayers);
+          setPlayers(prevPlayers => {
+            // Always update to ensure we get fresh data
+            console.log(`[${APP_VERSION}] Updating players state with new data`);
+            return updatedPlayers;
+          });
+        });
+
+      playersSubscriptionRef.current = unsubscribe;
+      
+      // Add more frequent periodic forced refresh to ensure view stays updated
+      const periodicRefresh = setInterval(() => {
+        refreshPlayerList(false); // Silent refresh (no success message)
+      }, 3000); // More frequent refreshes
+      
+      return () => {
+        clearInterval(periodicRefresh);
+        if (playersSubscriptionRef.current) {
+          playersSubscriptionRef.current();
+          playersSubscriptionRef.current = null;
+        }
+      };
+    } catch (error) {
+      console.error(`[${APP_VERSION}] Error setting up player subscription:`, error);
+      setError('Error setting up player tracking');
+    }
+  }, [pin, sessionId]);
+
+  // Track players for as long as the session is running
+  useEffect(() => {
+    if (step === 'session' && pin) {
+      return setupPlayerSubscription();
+    }
+  }, [step, pin, setupPlayerSubscription]);
+
+  // Function to toggle deck archive status
+  const toggleDeckArchive = async (deckId, isCurrentlyArchived) => {
+    try {
+      setLoading(true);
+      await safeOperation(() => 
+        room.collection('deck').update(deckId, {
+          archived: !isCurrentlyArchived
+        })
+      );
+      
+      // Update local state to reflect changes
+      setDecks(prevDecks => 
+        prevDecks.map(deck => 
+          deck.id === deckId ? {...deck, archived: !isCurrentlyArchived} : deck
+        )
+      );
+      
+      setSuccess(`Deck ${isCurrentlyArchived ? 'restored' : 'archived'}`);
+      setTimeout(() => setSuccess(''), 2000);
+    } catch (error) {
+      setError('Failed to update deck');
+      console.error('Error updating deck:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Function to delete a deck
+  const deleteDeck = async (deckId) => {
+    if (!confirm('Are you sure you want to permanently delete this deck?')) {
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      await safeOperation(() => room.collection('deck').delete(deckId));
+      
+      // Update local state
+      setDecks(prevDecks => prevDecks.filter(deck => deck.id !== deckId));
+      
+      // If the selected deck was deleted, select another one
+      if (selectedDeck === deckId) {
+        const remainingDecks = decks.filter(deck => deck.id !== deckId);
+        if (remainingDecks.length > 0) {
+          setSelectedDeck(remainingDecks[0].id);
+        } else {
+          setSelectedDeck('');
+        }
+      }
+      
+      setSuccess('Deck deleted');
+      setTimeout(() => setSuccess(''), 2000);
+    } catch (error) {
+      setError('Failed to delete deck');
+      console.error('Error deleting deck:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Save a deck edited in the deck editor - name, tags, cards and card settings
+  const saveDeck = async (deckId, name, cards, tags) => {
+    try {
+      setLoading(true);
+      setError('');
+      const updatedDeck = await updateDeckWithRevision(decks.find(deck => deck.id === deckId), { name, cards, tags }, 'edit');
+
+      setDecks(prevDecks =>
+        prevDecks.map(deck => deck.id === deckId ? updatedDeck : deck)
+      );
+
+      // Regenerate unison sequences so edited cards and weights apply straight away
+      engineRef.current?.resetUnison();
+
+      setEditingDeckId(null);
+      setSuccess(`Deck "${name}" saved with ${cards.length} cards`);
+      setTimeout(() => setSuccess(''), 2000);
+    } catch (error) {
+      setError(`Failed to save deck: ${error.message}`);
+      console.error('Error saving deck:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Bring back an earlier revision of a deck - saved as a new revision, so it can be undone
+  const restoreDeckRevision = async (deckId, revision) => {
+    if (!confirm(`Restore revision ${revision.revision} of "${revision.name}"?`)) return;
+
+    try {
+      setLoading(true);
+      setError('');
+      const currentDeck = (await safeOperation(() =>
+        room.collection('deck').filter({ id: deckId }).getList()
+      ))[0];
+      const cards = await restoreRevisionMedia(revision.cards);
+      const updatedDeck = await updateDeckWithRevision(currentDeck, { name: revision.name, cards }, 'restore');
+
+      setDecks(prevDecks =>
+        prevDecks.map(deck => deck.id === deckId ? updatedDeck : deck)
+      );
+      engineRef.current?.resetUnison();
+
+      setSuccess(`Restored revision ${revision.revision} as revision ${updatedDeck.revision}`);
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      setError('Failed to restore deck revision');
+      console.error('Error restoring deck revision:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Copy a deck under a new name so it can be changed without touching the original
+  const duplicateDeck = async (sourceDeck) => {
+    try {
+      setLoading(true);
+      setError('');
+      const deck = await createDeckWithRevision({
+        name: `${sourceDeck.name} (copy)`,
+        tags: normalizeDeckTags(sourceDeck.tags),
+        cards: sourceDeck.cards
+      });
+
+      setDecks(prevDecks => [deck, ...prevDecks]);
+      setEditingDeckId(deck.id);
+      setSuccess(`Deck duplicated as "${deck.name}"`);
+      setTimeout(() => setSuccess(''), 2000);
+    } catch (error) {
+      setError('Failed to duplicate deck');
+      console.error('Error duplicating deck:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+
+  // Create or update a score
+  const saveScore = async (scoreId, name, entries) => {
+    try {
+      setLoading(true);
+      setError('');
+
+      if (scoreId) {
+        await safeOperation(() =>
+          room.collection('score').update(scoreId, {
+            name,
+            entries,
+            cue_count: entries.length
+          })
+        );
+        setScores(prevScores =>
+          prevScores.map(score =>
+            score.id === scoreId ? { ...score, name, entries, cue_count: entries.length } : score
+          )
+        );
+      } else {
+        const score = await safeOperation(() =>
+          room.collection('score').create({
+            name,
+            entries,
+            cue_count: entries.length
+          })
+        );
+        setScores(prevScores => [score, ...prevScores]);
+        setSelectedScoreId(score.id);
+      }
+
+      setEditingScoreId(null);
+      setSuccess(`Score "${name}" saved with ${entries.length} cues`);
+      setTimeout(() => setSuccess(''), 2000);
+    } catch (error) {
+      setError('Failed to save score');
+      console.error('Error saving score:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Delete a score
+  const deleteScore = async (scoreId) => {
+    if (!confirm('Are you sure you want to permanently delete this score?')) {
       return;
     }
-    
+
     try {
       setLoading(true);
-      await safeOperation(() => room.collection('deck').delete(deckId));
-      
-      // Update local state
-      setDecks(prevDecks => prevDecks.filter(deck => deck.id !== deckId));
-      
-      // If the selected deck was deleted, select another one
-      if (selectedDeck === deckId) {
-        const remainingDecks = decks.filter(deck => deck.id !== deckId);
-        if (remainingDecks.length > 0) {
-          setSelectedDeck(remainingDecks[0].id);
-        } else {
-          setSelectedDeck('');
-        }
+      await safeOperation(() => room.collection('score').delete(scoreId));
+
+      const remainingScores = scores.filter(score => score.id !== scoreId);
+      setScores(remainingScores);
+      if (selectedScoreId === scoreId) {
+        setSelectedScoreId(remainingScores.length > 0 ? remainingScores[0].id : '');
       }
-      
-      setSuccess('Deck deleted');
+
+      setSuccess('Score deleted');
       setTimeout(() => setSuccess(''), 2000);
     } catch (error) {
-      setError('Failed to delete deck');
-      console.error('Error deleting deck:', error);
+      setError('Failed to delete score');
+      console.error('Error deleting score:', error);
     } finally {
       setLoading(false);
     }
@@ -862,10 +2293,7 @@ function ConductorView({ onNavigate }) {
       setLoading(true);
       setError('');
 
-      const cards = newDeckCards
-        .split('\n')
-        .map(line => line.trim())
-        .filter(line => line.length > 0);
+      const cards = parseDeckCards(newDeckCards.split('\n'));
 
       if (cards.length === 0) {
         setError('No valid cards found');
@@ -873,14 +2301,7 @@ function ConductorView({ onNavigate }) {
         return;
       }
 
-      const deck = await safeOperation(() =>
-        room.collection('deck').create({
-          name: newDeckName,
-          cards: cards,
-          card_count: cards.length,
-          archived: false
-        })
-      );
+      const deck = await createDeckWithRevision({ name: newDeckName, cards });
 
       setDecks(prevDecks => [deck, ...prevDecks]);
       setSelectedDeck(deck.id);
@@ -907,117 +2328,92 @@ function ConductorView({ onNavigate }) {
       setError('');
 
       const text = await file.text();
-      let deckData;
-      let successCount = 0;
-      let errorCount = 0;
-
+      let rawDecks;
       try {
-        // Try parsing as JSON
-        deckData = JSON.parse(text);
+        rawDecks = parseDeckFile(file.name, text);
+      } catch (parseError) {
+        setError(`Could not read ${file.name}: ${parseError.message}`);
+        return;
+      }
 
-        // Handle array of decks
-        if (Array.isArray(deckData)) {
-          for (const deck of deckData) {
-            if (deck.name && Array.isArray(deck.cards) && deck.cards.length > 0) {
-              try {
-                await safeOperation(() =>
-                  room.collection('deck').create({
-                    name: deck.name,
-                    cards: deck.cards.filter(card => card && card.trim()),
-                    card_count: deck.cards.filter(card => card && card.trim()).length,
-                    archived: false
-                  })
-                );
-                successCount++;
-              } catch (err) {
-                errorCount++;
-                console.error(`Error importing deck ${deck.name}:`, err);
-              }
-            } else {
-              errorCount++;
-            }
-          }
+      if (rawDecks.length === 0) {
+        setError(`No decks found in ${file.name}`);
+        return;
+      }
 
-          // Refresh decks
-          const updatedDecks = await safeOperation(() => room.collection('deck').getList());
-          const filteredDecks = showArchivedDecks 
-            ? updatedDecks 
-            : updatedDecks.filter(deck => !deck.archived);
-          setDecks(filteredDecks);
-          
-          if (filteredDecks.length > 0 && !selectedDeck) {
-            setSelectedDeck(filteredDecks[0].id);
-          }
-        }
-        // Handle single deck
-        else if (deckData.name && Array.isArray(deckData.cards)) {
-          try {
-            const deck = await safeOperation(() =>
-              room.collection('deck').create({
-                name: deckData.name,
-                cards: deckData.cards.filter(card => card && card.trim()),
-                card_count: deckData.cards.filter(card => card && card.trim()).length,
-                archived: false
-              })
-            );
-            successCount = 1;
-          } catch (err) {
-            errorCount = 1;
-            console.error(`Error importing deck ${deckData.name}:`, err);
-          }
-        } else {
-          setError('Invalid JSON format');
-          errorCount = 1;
-        }
-      } catch (jsonError) {
-        // Try parsing as text (first line is name, rest are cards)
-        const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+      // Compare against every deck, archived ones included, so re-imports are caught
+      const existingDecks = await safeOperation(() => room.collection('deck').getList());
+      setImportPreview(validateImportedDecks(rawDecks, existingDecks));
+    } catch (error) {
+      setError('Failed to process file');
+      console.error('Error processing file:', error);
+    } finally {
+      // Clear file input so the same file can be picked again
+      if (fileInputRef.current) {
+        fileInputRef.current.value = '';
+      }
+      setLoading(false);
+    }
+  };
 
-        if (lines.length < 2) {
-          setError('Not enough content in file');
-          setLoading(false);
-          return;
-        }
+  // Import the decks confirmed in the preview, applying each one's collision choice
+  const confirmImport = async () => {
+    const chosen = importPreview.filter(item => item.include && item.action !== 'skip');
+    const imported = [];
+    const failed = [];
 
-        const name = lines[0];
-        const cards = lines.slice(1);
+    try {
+      setLoading(true);
+      setError('');
 
+      for (const item of chosen) {
         try {
-          const deck = await safeOperation(() =>
-            room.collection('deck').create({
-              name,
-              cards,
-              card_count: cards.length,
-              archived: false
-            })
-          );
-
-          setDecks(prevDecks => [deck, ...prevDecks]);
-          setSelectedDeck(deck.id);
-          setNewDeckName('');
-          setNewDeckCards('');
-          successCount = 1;
+          if (item.existingDeckId && item.action !== 'create') {
+            const existingDeck = (await safeOperation(() =>
+              room.collection('deck').filter({ id: item.existingDeckId }).getList()
+            ))[0];
+            const cards = item.action === 'merge'
+              ? mergeDeckCards(existingDeck.cards, item.cards)
+              : item.cards;
+            await updateDeckWithRevision(existingDeck, { cards }, 'import');
+          } else {
+            await createDeckWithRevision({ name: item.name, tags: item.tags, cards: item.cards }, 'import');
+          }
+          imported.push(item.name);
         } catch (err) {
-          errorCount = 1;
-          console.error(`Error importing text deck ${name}:`, err);
+          failed.push(item.name);
+          console.error(`Error importing deck ${item.name}:`, err);
         }
       }
 
-      // Clear file input
-      if (fileInputRef.current) {
-        fileInputRef.current.value = '';
+      // Refresh decks
+      const updatedDecks = await safeOperation(() => room.collection('deck').getList());
+      const filteredDecks = showArchivedDecks 
+        ? updatedDecks 
+        : updatedDecks.filter(deck => !deck.archived);
+      setDecks(filteredDecks);
+      if (filteredDecks.length > 0 && !selectedDeck) {
+        setSelectedDeck(filteredDecks[0].id);
       }
 
-      setSuccess(`Upload complete! Added ${successCount} deck${successCount !== 1 ? 's' : ''}`);
+      // Unison sequences may hold cards from a replaced deck
+      engineRef.current?.resetUnison();
+      setImportPreview(null);
+
+      if (failed.length > 0) {
+        setError(`Failed to import: ${failed.join(', ')}`);
+      }
+      setSuccess(`Import complete! ${imported.length} deck${imported.length !== 1 ? 's' : ''} imported, ${importPreview.length - chosen.length} skipped`);
       setTimeout(() => setSuccess(''), 3000);
     } catch (error) {
-      setError('Failed to process file');
-      console.error('Error processing file:', error);
+      setError('Failed to import decks');
+      console.error('Error importing decks:', error);
     } finally {
       setLoading(false);
     }
   };
 
+
   // Create session
   const handleCreateSession = async () => {
     if (!selectedDeck) {
@@ -1025,13 +2421,24 @@ function ConductorView({ onNavigate }) {
       return;
     }
 
+    if (distributionMode === 'score' && !selectedScoreId) {
+      setError('Please select a score first');
+      return;
+    }
+
     try {
       setLoading(true);
       setError('');
 
-      // Generate numeric PIN and ensure it's clean
+      // Seed the session's card and duration picks so a performance can be reproduced
+      const seed = seedInput.trim() || generateSeed();
+
+      // Generate numeric PIN and ensure it's clean. The PIN stays unseeded - a reused
+      // seed must not hand out the PIN of an earlier session.
       const sessionPin = generatePin().replace(/\D/g, '');
       console.log(`[${APP_VERSION}] Creating session with clean numeric PIN: ${sessionPin}`);
+      const sessionAdminCode = generateAdminCode();
+      const lease = createConductorLease(clientIdRef.current);
 
       const session = await safeOperation(() =>
         room.collection('session').create({
@@ -1041,21 +2448,59 @@ function ConductorView({ onNavigate }) {
           min_timer_seconds: minTimerSeconds,
           max_timer_seconds: maxTimerSeconds,
           active_deck_id: selectedDeck,
+          selected_deck_id: selectedDeck,
+          active_deck_revision: decks.find(deck => deck.id === selectedDeck)?.revision || 0,
+          deck_mix: sessionDeckMix ? deckMix : [],
+          score_id: selectedScoreId || null,
+          score_index: 0,
+          score_playing: false,
+          score_match_by: scoreMatchBy,
+          seed,
+          admin_code: sessionAdminCode,
+          conductor_lease: lease,
+          handover_request: null,
+          groups: [],
+          paused: false,
+          unison_lead_seconds: unisonLeadSeconds,
+          player_timer_display: playerTimerDisplay,
+          timer_warning_seconds: timerWarningSeconds,
           ended: false,
           auto_distribute: autoDistribute,
           created_at: new Date().toISOString()
         })
       );
 
+      rememberConductorSession(session.id);
+      setConductorRole('conductor');
+      setSessionLease(lease);
+      setHandoverRequest(null);
+      setAdminCode(sessionAdminCode);
       setSessionId(session.id);
       setPin(sessionPin);
+      setSessionSeed(seed);
+      setScoreIndex(0);
+      setScorePlaying(false);
+      setGroups([]);
+      setPaused(false);
+      setPausedAt(null);
+      sessionRecordRef.current = session;
+      playerSnapshotRef.current = {};
+      setLastSessionId('');
       setStep('session');
       setSuccess(`Session created with PIN: ${sessionPin}`);
 
-      // Set up player subscription immediately after creating session
-      setTimeout(() => {
-        setupPlayerSubscription();
-      }, 500);
+      // Mark the decks in play as used, for sorting the deck library
+      const usedAt = new Date().toISOString();
+      const usedDeckIds = sessionDeckMix ? deckMix.map(part => part.deck_id) : [selectedDeck];
+      usedDeckIds.forEach(deckId => {
+        room.collection('deck').update(deckId, { last_used_at: usedAt })
+          .catch(err => console.error(`[${APP_VERSION}] Error marking deck ${deckId} as used:`, err));
+      });
+      setDecks(prevDecks => prevDecks.map(deck => usedDeckIds.includes(deck.id) ? { ...deck, last_used_at: usedAt } : deck));
+
+      logSessionEvent(session.id, 'session_start', {
+        details: `${distributionMode} mode, deck ${sessionDeckMix?.name || decks.find(deck => deck.id === selectedDeck)?.name || selectedDeck}, seed ${seed}`
+      });
 
       setTimeout(() => setSuccess(''), 3000);
     } catch (error) {
@@ -1066,6 +2511,205 @@ function ConductorView({ onNavigate }) {
     }
   };
 
+  // Mirror a session record into conductor state - on recovery, on taking control, and
+  // continuously while another conductor is in control
+  const applySessionRecord = (current) => {
+    sessionRecordRef.current = current;
+
+    const deckMixParts = current.deck_mix || [];
+    const recoveredDeckId = current.selected_deck_id || current.active_deck_id;
+    setSelectedDeck(recoveredDeckId && !recoveredDeckId.startsWith('mix:')
+      ? recoveredDeckId
+      : (deckMixParts[0]?.deck_id || selectedDeck));
+    setDeckMixEnabled(deckMixParts.length > 0);
+    setDeckMix(deckMixParts);
+    setDistributionMode(current.distribution_mode || 'unison');
+    setMinTimerSeconds(current.min_timer_seconds || 30);
+    setMaxTimerSeconds(current.max_timer_seconds || 90);
+    setAutoDistribute(current.auto_distribute !== false);
+    setGroups(current.groups || []);
+    setPaused(!!current.paused);
+    setPausedAt(current.paused && current.paused_at ? new Date(current.paused_at).getTime() : null);
+    setUnisonLeadSeconds(current.unison_lead_seconds ?? DEFAULT_UNISON_LEAD_SECONDS);
+    setPlayerTimerDisplay(current.player_timer_display || 'hidden');
+    setTimerWarningSeconds(current.timer_warning_seconds ?? DEFAULT_TIMER_WARNING_SECONDS);
+    setScoreMatchBy(current.score_match_by || 'name');
+    if (current.score_id) setSelectedScoreId(current.score_id);
+    setScoreIndex(current.score_index || 0);
+    setScorePlaying(!!current.score_playing);
+    setSessionSeed(current.seed || '');
+    setAdminCode(current.admin_code || '');
+    setSessionLease(current.conductor_lease || null);
+    setHandoverRequest(current.handover_request || null);
+  };
+
+  // Pick up an open session after a reload, on another device, as a co-conductor (with the
+  // session's admin code) or as a read-only observer. Conductors take control straight
+  // away unless another conductor still holds the lease.
+  const recoverSession = async (session, { role = 'conductor', code = '' } = {}) => {
+    try {
+      setLoading(true);
+      setError('');
+
+      let current = (await safeOperation(() =>
+        room.collection('session').filter({ id: session.id }).getList()
+      ))[0];
+      if (!current || current.ended) {
+        setError(`Session ${session.pin} has already ended`);
+        forgetConductorSession(session.id);
+        setRecoverableSessions(prevSessions => prevSessions.filter(s => s.id !== session.id));
+        return;
+      }
+
+      // Sessions this device conducted before don't ask for the code again. Sessions
+      // without a code (started before codes existed) can only be resumed where they started.
+      const knownSession = getConductorSessionIds().includes(current.id);
+      if (role === 'conductor' && !knownSession) {
+        if (!current.admin_code) {
+          setError('This session has no co-conductor code - resume it on the device that started it');
+          return;
+        }
+        if (code.trim().toUpperCase() !== current.admin_code) {
+          setError('That co-conductor code does not match the session');
+          return;
+        }
+      }
+
+      const clientId = clientIdRef.current;
+      let claimed = false;
+      if (role === 'conductor' && (!isLeaseActive(current.conductor_lease) || current.conductor_lease.client_id === clientId)) {
+        const claimedSession = await claimConductorLease(current.id, clientId);
+        if (claimedSession) {
+          current = claimedSession;
+          claimed = true;
+        }
+      }
+
+      const playerList = await safeOperation(() =>
+        room.collection('player').filter({ session_pin: current.pin }).getList()
+      );
+
+      applySessionRecord(current);
+
+      // Start the event log diff from the players as they are now, not as fresh joins
+      playerSnapshotRef.current = {};
+      playerList.forEach(player => {
+        playerSnapshotRef.current[player.id] = toPlayerSnapshot(player);
+      });
+      setPlayers(playerList);
+
+      if (role === 'conductor') rememberConductorSession(current.id);
+      setConductorRole(role);
+      setSessionId(current.id);
+      setPin(current.pin);
+      setLastSessionId('');
+      setStep('session');
+      if (claimed) {
+        logSessionEvent(current.id, 'recover', { details: `${playerList.filter(p => p.active).length} active players` });
+      }
+      console.log(`[${APP_VERSION}] Opened session ${current.pin} as ${role}${claimed ? ' in control' : ''} with ${playerList.length} players`);
+
+      setSuccess(role === 'observer'
+        ? `Observing session PIN ${current.pin}`
+        : claimed
+          ? `Resumed session PIN ${current.pin}`
+          : `Joined session PIN ${current.pin} - another conductor is in control`);
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      setError('Failed to resume session');
+      console.error('Error resuming session:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Find an open session by PIN to co-conduct or observe
+  const joinSessionByPin = async (role) => {
+    const cleanPin = joinPin.trim().replace(/\D/g, '');
+    if (!cleanPin) {
+      setError('Please enter the session PIN');
+      return;
+    }
+
+    try {
+      const session = (await safeOperation(() =>
+        room.collection('session').filter({ pin: cleanPin, active: true }).getList()
+      )).find(s => !s.ended);
+      if (!session) {
+        setError(`No open session with PIN ${cleanPin}`);
+        return;
+      }
+      await recoverSession(session, { role, code: joinCode });
+    } catch (error) {
+      setError('Failed to find session');
+      console.error('Error finding session:', error);
+    }
+  };
+
+  // Go back to setup without ending the session - for observers and co-conductors
+  const leaveSession = () => {
+    setStep('setup');
+    setSessionId('');
+    setPin('');
+    setConductorRole('conductor');
+    setSessionLease(null);
+    setHandoverRequest(null);
+    setAdminCode('');
+  };
+
+  // Ask the conductor in control to hand the session over
+  const requestControl = async () => {
+    try {
+      const request = { client_id: clientIdRef.current, at: new Date().toISOString() };
+      await safeOperation(() =>
+        room.collection('session').update(sessionId, { handover_request: request })
+      );
+      setHandoverRequest(request);
+      setSuccess('Asked the conductor in control to hand over');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      setError('Failed to request control');
+      console.error('Error requesting control:', error);
+    }
+  };
+
+  // Pass the lease to the co-conductor who asked for it. Everything they need is already
+  // on the session record; this client stops dealing as soon as the lease is gone.
+  const handOverControl = async () => {
+    if (!handoverRequest) return;
+
+    try {
+      const lease = createConductorLease(handoverRequest.client_id);
+      await safeOperation(() =>
+        room.collection('session').update(sessionId, {
+          conductor_lease: lease,
+          handover_request: null,
+          selected_deck_id: selectedDeck,
+          deck_mix: deckMixEnabled ? deckMix : [],
+          min_timer_seconds: minTimerSeconds,
+          max_timer_seconds: maxTimerSeconds,
+          score_id: selectedScoreId || null,
+          score_match_by: scoreMatchBy
+        })
+      );
+      setSessionLease(lease);
+      setHandoverRequest(null);
+      logSessionEvent(sessionId, 'handover');
+      setSuccess('Control handed over');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      setError('Failed to hand over control');
+      console.error('Error handing over control:', error);
+    }
+  };
+
+  const declineHandover = async () => {
+    setHandoverRequest(null);
+    await safeOperation(() =>
+      room.collection('session').update(sessionId, { handover_request: null })
+    );
+  };
+
   // End session with countdown
   const endSession = async () => {
     if (!sessionId) return;
@@ -1138,8 +2782,11 @@ function ConductorView({ onNavigate }) {
           ended_at: new Date().toISOString()
         })
       );
+      await logSessionEvent(sessionId, 'session_end');
+      forgetConductorSession(sessionId);
 
       setSuccess('Session ended');
+      setLastSessionId(sessionId);
       
       // Return to setup after a delay
       setTimeout(() => {
@@ -1156,110 +2803,260 @@ function ConductorView({ onNavigate }) {
     }
   };
 
-  // Card distribution function
-  const distributeCardToPlayer = async (player, sharedCard = null) => {
-    if (!sessionId || !selectedDeck) {
-      console.log(`[${APP_VERSION}] Cannot distribute: missing session or deck`);
-      return false;
+  // Persist group definitions on the session record
+  const saveGroups = async (nextGroups) => {
+    setGroups(nextGroups);
+    if (!sessionId) return;
+
+    try {
+      await safeOperation(() =>
+        room.collection('session').update(sessionId, { groups: nextGroups })
+      );
+    } catch (error) {
+      setError('Failed to save groups');
+      console.error('Error saving groups:', error);
     }
-    
-    // Skip if already distributing to this player
-    if (pendingDistributionsRef.current.has(player.id)) {
-      console.log(`[${APP_VERSION}] Already distributing to player ${player.id}, skipping`);
-      return false;
+  };
+
+  const handleAddGroup = () => {
+    const name = newGroupName.trim();
+    if (!name) return;
+
+    saveGroups([...groups, {
+      id: Math.random().toString(36).substring(2, 10),
+      name,
+      deck_id: '',
+      distribution_mode: '',
+      min_timer_seconds: null,
+      max_timer_seconds: null
+    }]);
+    setNewGroupName('');
+  };
+
+  const updateGroup = (groupId, changes) => {
+    // Settings changed, so the group's unison sequence starts over
+    engineRef.current?.resetUnison(groupId);
+    saveGroups(groups.map(group => group.id === groupId ? { ...group, ...changes } : group));
+  };
+
+  // Assign a player to a group (or back to the session settings with null)
+  const assignPlayerToGroup = async (playerId, groupId) => {
+    try {
+      await safeOperation(() =>
+        room.collection('player').update(playerId, { group_id: groupId || null })
+      );
+      setPlayers(prevPlayers =>
+        prevPlayers.map(player =>
+          player.id === playerId ? { ...player, group_id: groupId || null } : player
+        )
+      );
+    } catch (error) {
+      setError('Failed to assign player to group');
+      console.error('Error assigning player to group:', error);
+    }
+  };
+
+  const deleteGroup = async (groupId) => {
+    if (!confirm('Delete this group? Its players will use the session settings.')) return;
+
+    // Members fall back to the session settings
+    for (const player of players.filter(p => p.group_id === groupId)) {
+      await assignPlayerToGroup(player.id, null);
     }
+    engineRef.current?.resetUnison(groupId);
+    await saveGroups(groups.filter(group => group.id !== groupId));
+  };
+
+  // Set one deck's share of the session mix (0 leaves it out)
+  const setDeckProportion = (deckId, proportion) => {
+    setDeckMix(prevMix => [
+      ...prevMix.filter(part => part.deck_id !== deckId),
+      ...(proportion > 0 ? [{ deck_id: deckId, proportion }] : [])
+    ].sort((a, b) => decks.findIndex(d => d.id === a.deck_id) - decks.findIndex(d => d.id === b.deck_id)));
+  };
+
+  // Change what players see of their card timer - applied live through the session record
+  const updateTimerDisplay = async (display, warningSeconds = timerWarningSeconds) => {
+    setPlayerTimerDisplay(display);
+    setTimerWarningSeconds(warningSeconds);
+    if (!sessionId) return;
 
     try {
-      // Add to pending distributions
-      pendingDistributionsRef.current.add(player.id);
-      
-      // Get selected deck info
-      const selectedDeckData = decks.find(d => d.id === selectedDeck);
-      
-      if (!selectedDeckData || !selectedDeckData.cards || selectedDeckData.cards.length === 0) {
-        console.error(`[${APP_VERSION}] Selected deck has no cards`);
-        pendingDistributionsRef.current.delete(player.id);
-        return false;
-      }
+      await safeOperation(() =>
+        room.collection('session').update(sessionId, {
+          player_timer_display: display,
+          timer_warning_seconds: warningSeconds
+        })
+      );
+    } catch (error) {
+      setError('Failed to update timer display');
+      console.error('Error updating timer display:', error);
+    }
+  };
 
-      console.log(`[${APP_VERSION}] Distributing card to player ${player.id} (${player.name}) in mode: ${distributionMode}`);
-      
-      const result = await distributeCard(
-        player, 
-        selectedDeckData, 
-        distributionMode, 
-        players,
-        minTimerSeconds, 
-        maxTimerSeconds,
-        sharedCard
+  // Settings the distribution engine reads from the session record, as set in this view
+  const getSessionConfig = () => ({
+    id: sessionId,
+    pin,
+    distribution_mode: distributionMode,
+    selected_deck_id: selectedDeck,
+    deck_mix: deckMixEnabled ? deckMix : [],
+    min_timer_seconds: minTimerSeconds,
+    max_timer_seconds: maxTimerSeconds,
+    groups,
+    auto_distribute: autoDistribute,
+    unison_lead_seconds: unisonLeadSeconds,
+    score_id: selectedScoreId,
+    score_match_by: scoreMatchBy
+  });
+
+  // Run the distribution engine on the client holding the conductor lease
+  useEffect(() => {
+    if (step !== 'session' || !sessionId || !inControl) return;
+
+    const engine = createDistributionEngine({
+      session: { ...sessionRecordRef.current, ...getSessionConfig() },
+      onChange: (status) => {
+        setScoreIndex(status.scoreIndex);
+        setScorePlaying(status.scorePlaying);
+        setPaused(status.paused);
+        setPausedAt(status.pausedAt);
+      },
+      onDealt: () => setTimeout(() => refreshPlayerList(false), 1000),
+      onError: (message) => setError(message)
+    });
+    engine.update({ players, decks, scores });
+    engine.start();
+    engineRef.current = engine;
+
+    return () => {
+      engine.stop();
+      engineRef.current = null;
+    };
+  }, [step, sessionId, inControl]);
+
+  // Keep the engine's copy of the session settings, players, decks and scores current
+  useEffect(() => {
+    engineRef.current?.update({ session: getSessionConfig() });
+  }, [distributionMode, selectedDeck, deckMixEnabled, deckMix, minTimerSeconds, maxTimerSeconds, groups, autoDistribute, unisonLeadSeconds, selectedScoreId, scoreMatchBy]);
+
+  useEffect(() => {
+    engineRef.current?.update({ players });
+  }, [players]);
+
+  useEffect(() => {
+    engineRef.current?.update({ decks, scores });
+  }, [decks, scores]);
+
+  // Pause the whole session - players' timers freeze and nothing new is dealt
+  const pauseSession = async () => {
+    if (!engineRef.current || paused) return;
+
+    try {
+      await engineRef.current.pause();
+      setSuccess('Session paused');
+      setTimeout(() => setSuccess(''), 2000);
+    } catch (error) {
+      setError('Failed to pause session');
+      console.error('Error pausing session:', error);
+    }
+  };
+
+  // Resume - the engine shifts every running card's start time by the length of the pause
+  const resumeSession = async () => {
+    if (!engineRef.current || !paused) return;
+
+    try {
+      setLoading(true);
+      const shiftedStarts = await engineRef.current.resume();
+
+      // Keep local state in step so the grid doesn't show the old end times
+      setPlayers(prevPlayers => prevPlayers.map(player =>
+        shiftedStarts[player.id] ? { ...player, card_start_time: shiftedStarts[player.id] } : player
+      ));
+      setSuccess('Session resumed');
+      setTimeout(() => setSuccess(''), 2000);
+      setTimeout(() => refreshPlayerList(false), 500);
+    } catch (error) {
+      setError('Failed to resume session');
+      console.error('Error resuming session:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Conductor override - push a chosen, typed or random card to players immediately
+  const sendCardToPlayers = async (targetPlayers, choice) => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const sentCount = await engineRef.current.override(targetPlayers, choice);
+      setSuccess(`Card sent to ${sentCount} player${sentCount !== 1 ? 's' : ''}`);
+      setTimeout(() => setSuccess(''), 2000);
+      setSendTargetIds(null);
+      setSelectedPlayerIds([]);
+    } catch (error) {
+      setError(error.message || 'Failed to send card');
+      console.error('Error sending card:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Skip one player on to their next card
+  const dealNextCard = async (player) => {
+    try {
+      await engineRef.current.dealPlayer(player);
+    } catch (error) {
+      setError('Failed to deal the next card');
+      console.error('Error dealing next card:', error);
+    }
+  };
+
+  // Clear players' cards and hold them until the conductor sends another
+  const clearPlayerCards = async (targetPlayers) => {
+    try {
+      await engineRef.current.hold(targetPlayers);
+      setSelectedPlayerIds([]);
+    } catch (error) {
+      setError('Failed to clear cards');
+      console.error('Error clearing cards:', error);
+    }
+  };
+
+  // Add time to a player's running card
+  const extendPlayerTimer = async (player, seconds = 15) => {
+    try {
+      const cardDuration = await engineRef.current.extend(player, seconds);
+      if (cardDuration === null) return;
+
+      setPlayers(prevPlayers =>
+        prevPlayers.map(p => p.id === player.id ? { ...p, card_duration: cardDuration } : p)
       );
-      
-      console.log(`[${APP_VERSION}] Distribution result:`, result);
-      
-      if (result.success) {
-        // Immediately refresh the player's data to verify the update worked
-        try {
-          const updatedPlayer = await room.collection('player')
-            .filter({ id: player.id })
-            .getList();
-            
-          if (updatedPlayer.length > 0) {
-            console.log(`[${APP_VERSION}] Verified player update:`, {
-              id: updatedPlayer[0].id,
-              current_card: updatedPlayer[0].current_card,
-              card_start_time: updatedPlayer[0].card_start_time,
-              card_duration: updatedPlayer[0].card_duration
-            });
-          }
-        } catch (err) {
-          console.error(`[${APP_VERSION}] Verification check failed:`, err);
-        }
-      } else if (result.reason === 'CARD_STILL_ACTIVE') {
-        console.log(`[${APP_VERSION}] Skipped distribution - player ${player.name} has an active card with ${result.timeRemaining}s remaining`);
-      }
-      
-      // Remove from pending distributions
-      pendingDistributionsRef.current.delete(player.id);
-      return result.success ? result.card : null;
     } catch (error) {
-      console.error(`[${APP_VERSION}] Error distributing card to ${player.name}:`, error);
-      pendingDistributionsRef.current.delete(player.id);
-      return false;
+      setError('Failed to extend timer');
+      console.error('Error extending timer:', error);
     }
   };
 
   // Handle distribution mode change with immediate redistribution
   const handleDistributionModeChange = async (newMode) => {
-    if (loading || !sessionId) return;
-    
+    if (loading || !engineRef.current) return;
+
+    if (newMode === 'score' && !selectedScoreId) {
+      setError('Create or select a score first');
+      return;
+    }
+
     try {
       setLoading(true);
       setDistributionMode(newMode);
-      
-      // Reset unison sequence when switching modes
-      if (newMode === 'unison') {
-        // Only reset if switching to unison
-        setUnisonCardSequence([]);
-        setUnisonCardIndex(0);
-      }
-      
-      // Update session with new mode
-      await safeOperation(() =>
-        room.collection('session').update(sessionId, {
-          distribution_mode: newMode
-        })
-      );
-      
-      console.log(`[${APP_VERSION}] Distribution mode changed to: ${newMode}`);
-      
-      // Force immediate redistribution to all players
-      await distributeCardsToAllPlayers(newMode);
-      
-      // Ensure player list is refreshed after distribution
-      setTimeout(() => refreshPlayerList(), 1500);
-      setTimeout(() => refreshPlayerList(), 3000); // Second refresh for reliability
-      
-      setSuccess(`Switched to ${newMode} mode and redistributed cards`);
+      await engineRef.current.setMode(newMode);
+
+      setSuccess(newMode === 'score'
+        ? 'Switched to score mode - press play to start'
+        : `Switched to ${newMode} mode and redistributed cards`);
       setTimeout(() => setSuccess(''), 3000);
     } catch (error) {
       setError(`Failed to switch to ${newMode} mode`);
@@ -1269,189 +3066,29 @@ function ConductorView({ onNavigate }) {
     }
   };
 
-  // Distribute cards to all players with proper mode handling
-  const distributeCardsToAllPlayers = async (mode = distributionMode) => {
-    if (!sessionId || !selectedDeck || players.length === 0) {
-      setError('No players or deck selected');
-      return;
-    }
-
+  // Move to a score cue, dealing it straight away if the score is playing
+  const goToScoreCue = async (index) => {
     try {
-      console.log(`[${APP_VERSION}] Distributing cards to all players in ${mode} mode`);
-      
-      // Force all players to be ready
-      for (const player of players) {
-        if (player.active) {
-          await safeOperation(() =>
-            room.collection('player').update(player.id, {
-              ready_for_card: true
-            })
-          );
-        }
-      }
-      
-      // Brief delay to allow updates to process
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // For unison mode, select one card for all players and maintain sequence
-      let sharedCard = null;
-      if (mode === 'unison') {
-        const selectedDeckData = decks.find(d => d.id === selectedDeck);
-        if (selectedDeckData && selectedDeckData.cards && selectedDeckData.cards.length > 0) {
-          if (unisonCardSequence.length === 0) {
-            // Initialize a new card sequence
-            const newSequence = generateCardSequence(selectedDeckData.cards, 10);
-            setUnisonCardSequence(newSequence);
-            sharedCard = newSequence[0];
-            setUnisonCardIndex(0);
-          } else {
-            // Reset to first card in sequence for manual distribution
-            sharedCard = unisonCardSequence[0];
-            setUnisonCardIndex(0);
-          }
-          console.log(`[${APP_VERSION}] Selected shared unison card: "${sharedCard}" (from sequence)`);
-        }
-      }
-      
-      // Distribute to each active player
-      for (const player of players) {
-        if (player.active) {
-          if (mode === 'unison') {
-            await distributeCardToPlayer(player, sharedCard);
-          } else {
-            await distributeCardToPlayer(player);
-          }
-          // Add delay between distributions
-          await new Promise(resolve => setTimeout(resolve, 800));
-        }
+      await engineRef.current.goToCue(index);
+      if (index >= (scores.find(score => score.id === selectedScoreId)?.entries.length || 0)) {
+        setSuccess('Score finished');
+        setTimeout(() => setSuccess(''), 3000);
       }
-      
-      // Refresh player list
-      setTimeout(refreshPlayerList, 2000);
-      
     } catch (error) {
-      console.error(`[${APP_VERSION}] Error distributing cards to all players:`, error);
-      throw error;
+      setError(error.message);
+      console.error('Error moving to score cue:', error);
     }
   };
 
-  // Helper function to generate card sequence
-  const generateCardSequence = (cards, count = 10) => {
-    const sequence = [];
-    for (let i = 0; i < count; i++) {
-      const randomIndex = Math.floor(Math.random() * cards.length);
-      sequence.push(cards[randomIndex]);
+  const toggleScorePlayback = async () => {
+    try {
+      await engineRef.current.toggleScore();
+    } catch (error) {
+      setError(error.message);
+      console.error('Error toggling score playback:', error);
     }
-    return sequence;
   };
 
-  // Auto-distribution setup
-  useEffect(() => {
-    // Clean up previous interval
-    if (autoDistributeIntervalRef.current) {
-      clearInterval(autoDistributeIntervalRef.current);
-      autoDistributeIntervalRef.current = null;
-    }
-    
-    // Set up new interval if in session and auto-distribute is enabled
-    if (step === 'session' && autoDistribute && players.length > 0) {
-      console.log(`[${APP_VERSION}] Setting up auto-distribution for ${players.length} players`);
-      
-      autoDistributeIntervalRef.current = setInterval(async () => {
-        // Get precise current time
-        const now = Date.now();
-        
-        // Find players who genuinely need cards
-        const playersNeedingCards = players.filter(player => {
-          // Skip inactive players
-          if (!player.active) return false;
-          
-          // If explicitly ready for a card, allow distribution
-          if (player.ready_for_card === true) {
-            return true;
-          }
-          
-          // If no card, player needs one
-          if (!player.current_card) {
-            return true;
-          }
-          
-          // End signal is not a real card
-          if (player.current_card === 'END') {
-            return false;
-          }
-          
-          // If there's no start time or duration, something's wrong
-          if (!player.card_start_time || !player.card_duration) {
-            return true;
-          }
-          
-          // Calculate the precise end time and check if it's passed
-          const cardStartTime = new Date(player.card_start_time).getTime();
-          const cardEndTime = cardStartTime + (player.card_duration * 1000);
-          
-          // Add a 1-second buffer to ensure the timer has fully completed
-          return now > (cardEndTime + 1000);
-        });
-        
-        // Only proceed if we found players genuinely needing cards
-        if (playersNeedingCards.length > 0) {
-          console.log(`[${APP_VERSION}] Auto-distributing cards to ${playersNeedingCards.length} players:`, 
-            playersNeedingCards.map(p => p.name));
-          
-          // For unison mode, maintain card sequence
-          let sharedCard = null;
-          if (distributionMode === 'unison') {
-            const selectedDeckData = decks.find(d => d.id === selectedDeck);
-            if (selectedDeckData && selectedDeckData.cards && selectedDeckData.cards.length > 0) {
-              // Use the card sequence if it exists, otherwise create a new one
-              if (unisonCardSequence.length === 0) {
-                // Initialize card sequence
-                const newSequence = generateCardSequence(selectedDeckData.cards, 10); // Generate 10 cards
-                setUnisonCardSequence(newSequence);
-                sharedCard = newSequence[0];
-                setUnisonCardIndex(0);
-              } else {
-                // Get next card in sequence
-                const nextIndex = unisonCardIndex < unisonCardSequence.length - 1 ? 
-                                  unisonCardIndex + 1 : 0;
-                sharedCard = unisonCardSequence[nextIndex];
-                setUnisonCardIndex(nextIndex);
-              }
-              console.log(`[${APP_VERSION}] Using unison card sequence: card ${unisonCardIndex + 1}/${unisonCardSequence.length}: "${sharedCard}"`);
-            }
-          }
-          
-          // Process one player at a time with delays to prevent race conditions
-          for (const player of playersNeedingCards) {
-            // Skip if already in the process of distributing to this player
-            if (pendingDistributionsRef.current.has(player.id)) {
-              console.log(`[${APP_VERSION}] Skipping player ${player.name} - distribution already in progress`);
-              continue;
-            }
-            
-            console.log(`[${APP_VERSION}] Auto-distributing card to player ${player.name} (${player.id})`);
-            if (distributionMode === 'unison') {
-              await distributeCardToPlayer(player, sharedCard);
-            } else {
-              await distributeCardToPlayer(player);
-            }
-            
-            // Small delay between distributions to prevent overloading
-            await new Promise(resolve => setTimeout(resolve, 800));
-          }
-        }
-      }, 2000); // Check frequently but not too frequently
-    }
-    
-    return () => {
-      if (autoDistributeIntervalRef.current) {
-        clearInterval(autoDistributeIntervalRef.current);
-        autoDistributeIntervalRef.current = null;
-      }
-    };
-  }, [step, autoDistribute, players, selectedDeck, distributionMode, minTimerSeconds, maxTimerSeconds, pin, unisonCardSequence, unisonCardIndex]);
-
   // Conductor View Component - QR Code generation fix
   const generateQRCode = useCallback(() => {
     if (!pin || !qrCodeRef.current) return;
@@ -1488,6 +3125,70 @@ function ConductorView({ onNavigate }) {
         <div className="card">
           <h2 className="header">Conductor Setup</h2>
 
+          {recoverableSessions.length > 0 && (
+            <div className="session-recovery">
+              <h3 className="subheader">Resume a Session</h3>
+              {recoverableSessions.map(session => (
+                <div key={session.id} className="session-recovery-item">
+                  <button
+                    className="btn"
+                    onClick={() => recoverSession(session)}
+                    disabled={loading}
+                    style={{ width: 'auto', margin: 0 }}
+                  >
+                    Resume session PIN {session.pin}
+                  </button>
+                  <span>
+                    Started {new Date(session.created_at).toLocaleTimeString()}, {session.distribution_mode} mode
+                    {session.paused && ' - paused'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="session-recovery">
+            <h3 className="subheader">Co-conduct or Observe</h3>
+            <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
+              <input
+                type="text"
+                className="input"
+                inputMode="numeric"
+                placeholder="Session PIN"
+                value={joinPin}
+                onChange={(e) => setJoinPin(e.target.value)}
+                style={{ flex: 1, minWidth: '120px', margin: 0 }}
+              />
+              <input
+                type="text"
+                className="input"
+                placeholder="Co-conductor code"
+                value={joinCode}
+                onChange={(e) => setJoinCode(e.target.value)}
+                style={{ flex: 1, minWidth: '120px', margin: 0 }}
+              />
+            </div>
+            <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+              <button
+                className="btn"
+                style={{ flex: 1, margin: 0 }}
+                onClick={() => joinSessionByPin('conductor')}
+                disabled={loading || !joinCode.trim()}
+              >
+                Co-conduct
+              </button>
+              <button
+                className="btn btn-outline"
+                style={{ flex: 1, margin: 0 }}
+                onClick={() => joinSessionByPin('observer')}
+                disabled={loading}
+              >
+                Observe
+              </button>
+            </div>
+            <p className="notice">The co-conductor code is shown under the PIN in the conductor's session view.</p>
+          </div>
+
           <h3 className="subheader">Select Deck</h3>
           {decks.length > 0 ? (
             <div className="deck-selector">
@@ -1503,19 +3204,57 @@ function ConductorView({ onNavigate }) {
                 ))}
               </select>
               
-              <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '10px' }}>
+              <div className="deck-library-controls">
+                <input
+                  type="search"
+                  className="input"
+                  placeholder="Search decks and cards"
+                  value={deckQuery}
+                  onChange={(e) => setDeckQuery(e.target.value)}
+                />
+                <select
+                  className="input"
+                  value={deckSort}
+                  onChange={(e) => setDeckSort(e.target.value)}
+                >
+                  <option value="name">Name</option>
+                  <option value="newest">Newest</option>
+                  <option value="cards">Most cards</option>
+                  <option value="last_used">Last used</option>
+                </select>
                 <button 
                   className="btn btn-outline" 
-                  style={{ padding: '5px 10px', fontSize: '14px' }}
+                  style={{ padding: '5px 10px', fontSize: '14px', width: 'auto', margin: 0, whiteSpace: 'nowrap' }}
                   onClick={() => setShowArchivedDecks(!showArchivedDecks)}
                 >
                   {showArchivedDecks ? 'Hide Archived' : 'Show Archived'}
                 </button>
               </div>
+
+              {getDeckLibraryTags(decks).length > 0 && (
+                <div className="card-tags" style={{ justifyContent: 'flex-start', marginTop: '8px' }}>
+                  {getDeckLibraryTags(decks).map(tag => (
+                    <span
+                      key={tag}
+                      className={`card-tag deck-tag-filter ${deckTagFilter === tag ? 'deck-tag-filter-active' : ''}`}
+                      onClick={() => setDeckTagFilter(deckTagFilter === tag ? '' : tag)}
+                    >
+                      {tag}
+                    </span>
+                  ))}
+                </div>
+              )}
+
+              {libraryDecks.length === 0 && (
+                <p className="notice">
+                  No decks match the search.{' '}
+                  <a href="#" onClick={(e) => { e.preventDefault(); setDeckQuery(''); setDeckTagFilter(''); }}>Clear filters</a>
+                </p>
+              )}
               
-              {decks.length > 0 && (
-                <div style={{ marginTop: '10px', maxHeight: '150px', overflowY: 'auto' }}>
-                  {decks.map(deck => (
+              {libraryDecks.length > 0 && (
+                <div style={{ marginTop: '10px', maxHeight: '300px', overflowY: 'auto' }}>
+                  {libraryDecks.map(deck => (
                     <div key={deck.id} style={{ 
                       display: 'flex', 
                       justifyContent: 'space-between',
@@ -1526,15 +3265,69 @@ function ConductorView({ onNavigate }) {
                       borderRadius: '4px',
                       border: deck.id === selectedDeck ? '1px solid var(--primary)' : '1px solid var(--border)'
                     }}>
-                      <div>
+                      <input
+                        type="checkbox"
+                        title="Select for export"
+                        style={{ marginRight: '8px' }}
+                        checked={exportDeckIds.includes(deck.id)}
+                        onChange={() => setExportDeckIds(prevIds =>
+                          prevIds.includes(deck.id)
+                            ? prevIds.filter(id => id !== deck.id)
+                            : [...prevIds, deck.id]
+                        )}
+                      />
+                      <div style={{ flex: 1 }}>
                         <div style={{ fontWeight: deck.id === selectedDeck ? 'bold' : 'normal' }}>
                           {deck.name} {deck.archived && <span style={{ opacity: 0.6 }}>(archived)</span>}
                         </div>
                         <div style={{ fontSize: '12px', color: 'var(--text-light)' }}>
                           {deck.card_count || deck.cards.length} cards
+                          {normalizeDeckTags(deck.tags).length > 0 && ` · ${normalizeDeckTags(deck.tags).join(', ')}`}
                         </div>
                       </div>
                       <div>
+                        <button 
+                          onClick={() => setEditingDeckId(editingDeckId === deck.id ? null : deck.id)}
+                          style={{ 
+                            background: 'none', 
+                            border: 'none', 
+                            cursor: 'pointer',
+                            color: 'var(--accent)',
+                            fontSize: '12px',
+                            padding: '4px 8px',
+                            marginRight: '5px'
+                          }}
+                        >
+                          Edit
+                        </button>
+                        <button 
+                          onClick={() => duplicateDeck(deck)}
+                          style={{ 
+                            background: 'none', 
+                            border: 'none', 
+                            cursor: 'pointer',
+                            color: 'var(--accent)',
+                            fontSize: '12px',
+                            padding: '4px 8px',
+                            marginRight: '5px'
+                          }}
+                        >
+                          Duplicate
+                        </button>
+                        <button 
+                          onClick={() => setHistoryDeckId(historyDeckId === deck.id ? null : deck.id)}
+                          style={{ 
+                            background: 'none', 
+                            border: 'none', 
+                            cursor: 'pointer',
+                            color: 'var(--accent)',
+                            fontSize: '12px',
+                            padding: '4px 8px',
+                            marginRight: '5px'
+                          }}
+                        >
+                          History
+                        </button>
                         <button 
                           onClick={() => toggleDeckArchive(deck.id, deck.archived)}
                           style={{ 
@@ -1567,11 +3360,75 @@ function ConductorView({ onNavigate }) {
                   ))}
                 </div>
               )}
+              
+              {editingDeckId && decks.find(deck => deck.id === editingDeckId) && (
+                <DeckEditor
+                  key={editingDeckId}
+                  deck={decks.find(deck => deck.id === editingDeckId)}
+                  onSave={saveDeck}
+                  onCancel={() => setEditingDeckId(null)}
+                  saving={loading}
+                />
+              )}
+
+              {historyDeckId && decks.find(deck => deck.id === historyDeckId) && (
+                <DeckHistory
+                  key={`${historyDeckId}-${decks.find(deck => deck.id === historyDeckId).revision || 0}`}
+                  deck={decks.find(deck => deck.id === historyDeckId)}
+                  onRestore={(revision) => restoreDeckRevision(historyDeckId, revision)}
+                  onClose={() => setHistoryDeckId(null)}
+                  restoring={loading}
+                />
+              )}
             </div>
           ) : (
             <p className="notice">No decks available. Create one below.</p>
           )}
 
+          {decks.length > 1 && (
+            <>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '10px' }}>
+                <input
+                  type="checkbox"
+                  checked={deckMixEnabled}
+                  onChange={(e) => {
+                    setDeckMixEnabled(e.target.checked);
+                    if (e.target.checked && deckMix.length === 0 && selectedDeck) {
+                      setDeckMix([{ deck_id: selectedDeck, proportion: 100 }]);
+                    }
+                  }}
+                />
+                Mix cards from several decks
+              </label>
+              {deckMixEnabled && (() => {
+                const totalProportion = deckMix.reduce((sum, part) => sum + part.proportion, 0);
+                return (
+                  <div className="deck-mix">
+                    {decks.map(deck => {
+                      const proportion = deckMix.find(part => part.deck_id === deck.id)?.proportion || 0;
+                      return (
+                        <div key={deck.id} className="deck-mix-row">
+                          <span className="deck-editor-text">{deck.name}</span>
+                          <input
+                            type="number"
+                            className="input"
+                            min="0"
+                            value={proportion}
+                            onChange={(e) => setDeckProportion(deck.id, Math.max(0, parseInt(e.target.value) || 0))}
+                          />
+                          <span className="deck-mix-share">
+                            {totalProportion > 0 ? Math.round((proportion / totalProportion) * 100) : 0}%
+                          </span>
+                        </div>
+                      );
+                    })}
+                    <p className="notice">Relative proportions - each deck's share of the cards dealt to players without a group deck.</p>
+                  </div>
+                );
+              })()}
+            </>
+          )}
+
           <h3 className="subheader">Distribution Settings</h3>
           <div>
             <label>Distribution Mode:</label>
@@ -1582,9 +3439,43 @@ function ConductorView({ onNavigate }) {
             >
               <option value="unison">Unison - All players get the same card</option>
               <option value="unique">Unique - Each player gets a different card</option>
-              <option value="random">Random - Each player gets a random card from any deck</option>
+              <option value="random">Random - Each player gets a random card from the session's decks</option>
+              <option value="score">Score - Play a predetermined card order</option>
             </select>
           </div>
+          {distributionMode === 'score' && (
+            <div>
+              <label>Score:</label>
+              {scores.length > 0 ? (
+                <select
+                  className="input"
+                  value={selectedScoreId}
+                  onChange={(e) => setSelectedScoreId(e.target.value)}
+                >
+                  {scores.map(score => (
+                    <option key={score.id} value={score.id}>
+                      {score.name} ({score.cue_count || score.entries.length} cues)
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <p className="notice">No scores yet. Create one in the Scores section below.</p>
+              )}
+              {scores.find(score => score.id === selectedScoreId)?.seats && (
+                <>
+                  <label>Match recorded players:</label>
+                  <select
+                    className="input"
+                    value={scoreMatchBy}
+                    onChange={(e) => setScoreMatchBy(e.target.value)}
+                  >
+                    <option value="name">By name, then by seat</option>
+                    <option value="seat">By seat (join order)</option>
+                  </select>
+                </>
+              )}
+            </div>
+          )}
           <div>
             <label>Timer Duration (random between min and max):</label>
             <div style={{ display: 'flex', gap: '10px' }}>
@@ -1636,6 +3527,57 @@ function ConductorView({ onNavigate }) {
               Automatically distribute new cards when timers expire
             </label>
           </div>
+          
+          <div>
+            <label>Player timer display:</label>
+            <div style={{ display: 'flex', gap: '10px' }}>
+              <select
+                className="input"
+                style={{ flex: 2 }}
+                value={playerTimerDisplay}
+                onChange={(e) => setPlayerTimerDisplay(e.target.value)}
+              >
+                {PLAYER_TIMER_DISPLAYS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              {playerTimerDisplay === 'warning' && (
+                <input
+                  type="number"
+                  className="input"
+                  style={{ flex: 1 }}
+                  min="1"
+                  max="60"
+                  title="Flash during the last N seconds"
+                  value={timerWarningSeconds}
+                  onChange={(e) => setTimerWarningSeconds(Math.max(1, parseInt(e.target.value) || 1))}
+                />
+              )}
+            </div>
+          </div>
+          
+          <div>
+            <label>Random seed (optional - reuse one to repeat a session's card choices):</label>
+            <input
+              type="text"
+              className="input"
+              placeholder="Leave blank for a new seed"
+              value={seedInput}
+              onChange={(e) => setSeedInput(e.target.value)}
+            />
+          </div>
+
+          <div>
+            <label>Unison lead time (seconds before every player flips together):</label>
+            <input
+              type="number"
+              className="input"
+              value={unisonLeadSeconds}
+              min="0"
+              max="15"
+              onChange={(e) => setUnisonLeadSeconds(Math.min(15, Math.max(0, parseInt(e.target.value) || 0)))}
+            />
+          </div>
 
           <button
             className="btn btn-block"
@@ -1645,6 +3587,103 @@ function ConductorView({ onNavigate }) {
             {loading ? 'Creating...' : 'Create Session'}
           </button>
 
+          {lastSessionId && (
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginTop: '10px' }}>
+              <span style={{ fontSize: '14px', color: 'var(--text-light)', flex: 1 }}>Last session log:</span>
+              <button className="btn btn-outline" style={{ padding: '5px 10px', fontSize: '14px', width: 'auto', margin: 0 }} onClick={() => exportSessionLog('json')} disabled={loading}>
+                Export JSON
+              </button>
+              <button className="btn btn-outline" style={{ padding: '5px 10px', fontSize: '14px', width: 'auto', margin: 0 }} onClick={() => exportSessionLog('csv')} disabled={loading}>
+                Export CSV
+              </button>
+              <button className="btn btn-outline" style={{ padding: '5px 10px', fontSize: '14px', width: 'auto', margin: 0 }} onClick={saveSessionAsScore} disabled={loading}>
+                Save as Score
+              </button>
+            </div>
+          )}
+
+          <hr style={{ margin: '20px 0', border: 'none', borderTop: '1px solid var(--border)' }} />
+
+          <h3 className="subheader">Scores</h3>
+          {scores.length > 0 ? (
+            <div style={{ maxHeight: '150px', overflowY: 'auto' }}>
+              {scores.map(score => (
+                <div key={score.id} style={{ 
+                  display: 'flex', 
+                  justifyContent: 'space-between',
+                  alignItems: 'center', 
+                  padding: '8px',
+                  margin: '5px 0',
+                  backgroundColor: 'rgba(255,255,255,0.5)',
+                  borderRadius: '4px',
+                  border: score.id === selectedScoreId ? '1px solid var(--primary)' : '1px solid var(--border)'
+                }}>
+                  <div style={{ cursor: 'pointer' }} onClick={() => setSelectedScoreId(score.id)}>
+                    <div style={{ fontWeight: score.id === selectedScoreId ? 'bold' : 'normal' }}>
+                      {score.name}
+                    </div>
+                    <div style={{ fontSize: '12px', color: 'var(--text-light)' }}>
+                      {score.cue_count || score.entries.length} cues, {formatDuration(getScoreDuration(score))}
+                      {score.seats && `, recorded with ${score.seats.length} players`}
+                    </div>
+                  </div>
+                  <div>
+                    {!score.seats && (
+                      <button
+                        onClick={() => setEditingScoreId(editingScoreId === score.id ? null : score.id)}
+                        style={{ 
+                          background: 'none', 
+                          border: 'none', 
+                          cursor: 'pointer',
+                          color: 'var(--accent)',
+                          fontSize: '12px',
+                          padding: '4px 8px',
+                          marginRight: '5px'
+                        }}
+                      >
+                        Edit
+                      </button>
+                    )}
+                    <button 
+                      onClick={() => deleteScore(score.id)}
+                      style={{ 
+                        background: 'none', 
+                        border: 'none', 
+                        cursor: 'pointer',
+                        color: 'var(--error)',
+                        fontSize: '12px',
+                        padding: '4px 8px'
+                      }}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="notice">No scores yet. A score plays a fixed order of cards with set durations.</p>
+          )}
+          {editingScoreId ? (
+            <ScoreEditor
+              key={editingScoreId}
+              score={scores.find(score => score.id === editingScoreId) || null}
+              decks={decks}
+              defaultDeckId={selectedDeck}
+              onSave={saveScore}
+              onCancel={() => setEditingScoreId(null)}
+              saving={loading}
+            />
+          ) : (
+            <button
+              className="btn btn-outline btn-block"
+              onClick={() => setEditingScoreId('new')}
+              disabled={loading || decks.length === 0}
+            >
+              New Score
+            </button>
+          )}
+
           <hr style={{ margin: '20px 0', border: 'none', borderTop: '1px solid var(--border)' }} />
 
           <h3 className="subheader">Create New Deck</h3>
@@ -1673,11 +3712,11 @@ function ConductorView({ onNavigate }) {
           <h3 className="subheader" style={{ marginTop: '20px' }}>
             Import Deck
           </h3>
-          <p className="notice">Upload JSON or text files</p>
+          <p className="notice">Upload JSON, CSV, Markdown or text files</p>
           <input
             type="file"
             ref={fileInputRef}
-            accept=".txt,.json"
+            accept=".txt,.json,.csv,.md,.markdown"
             onChange={handleFileUpload}
             style={{ display: 'none' }}
           />
@@ -1689,6 +3728,51 @@ function ConductorView({ onNavigate }) {
             Select File
           </button>
 
+          {importPreview && (
+            <ImportPreview
+              items={importPreview}
+              onChange={(key, changes) => setImportPreview(prevItems =>
+                prevItems.map(item => item.key === key ? { ...item, ...changes } : item)
+              )}
+              onConfirm={confirmImport}
+              onCancel={() => setImportPreview(null)}
+              importing={loading}
+            />
+          )}
+
+          <h3 className="subheader" style={{ marginTop: '20px' }}>
+            Export Decks
+          </h3>
+          <p className="notice">Tick decks in the list above to export a selection</p>
+          <div style={{ display: 'flex', gap: '10px' }}>
+            <select
+              className="input"
+              style={{ margin: 0 }}
+              value={deckExportFormat}
+              onChange={(e) => setDeckExportFormat(e.target.value)}
+            >
+              <option value="json">JSON (full card details)</option>
+              <option value="csv">CSV (one row per card)</option>
+              <option value="text">Text (card titles only)</option>
+            </select>
+            <button
+              className="btn btn-outline"
+              style={{ width: 'auto', margin: 0, whiteSpace: 'nowrap' }}
+              onClick={() => exportDecks(decks.filter(deck => exportDeckIds.includes(deck.id)), deckExportFormat)}
+              disabled={exportDeckIds.length === 0}
+            >
+              Export Selected ({exportDeckIds.length})
+            </button>
+            <button
+              className="btn btn-outline"
+              style={{ width: 'auto', margin: 0, whiteSpace: 'nowrap' }}
+              onClick={() => exportDecks(decks, deckExportFormat)}
+              disabled={decks.length === 0}
+            >
+              Export All
+            </button>
+          </div>
+
           {error && <div className="error">{error}</div>}
           {success && <div className="success">{success}</div>}
 
@@ -1720,7 +3804,52 @@ function ConductorView({ onNavigate }) {
           }}>
             PIN: {pin}
           </div>
-        </div>
+        </div>
+        {sessionSeed && (
+          <div style={{ textAlign: 'right', fontSize: '12px', color: 'var(--text-light)', marginBottom: '10px' }}>
+            Seed: <span style={{ fontFamily: 'monospace', userSelect: 'all' }}>{sessionSeed}</span>
+            {conductorRole === 'conductor' && adminCode && (
+              <> · Co-conductor code: <span style={{ fontFamily: 'monospace', userSelect: 'all' }}>{adminCode}</span></>
+            )}
+          </div>
+        )}
+
+        {/* Conductor presence - who is in control, handover requests, read-only modes */}
+        {inControl && handoverRequest && handoverRequest.client_id !== clientIdRef.current && (
+          <div className="conductor-status">
+            <span>A co-conductor is asking for control</span>
+            <button className="btn" style={{ padding: '5px 10px', fontSize: '14px', width: 'auto', margin: 0 }} onClick={handOverControl}>
+              Hand Over
+            </button>
+            <button className="btn btn-outline" style={{ padding: '5px 10px', fontSize: '14px', width: 'auto', margin: 0 }} onClick={declineHandover}>
+              Decline
+            </button>
+          </div>
+        )}
+        {!inControl && (
+          <div className="conductor-status">
+            <span>
+              {conductorRole === 'observer'
+                ? 'Observing - read only'
+                : handoverRequest?.client_id === clientIdRef.current
+                  ? 'Waiting for the conductor in control to hand over'
+                  : 'Another conductor is in control'}
+            </span>
+            {conductorRole === 'conductor' && (
+              <button
+                className="btn"
+                style={{ padding: '5px 10px', fontSize: '14px', width: 'auto', margin: 0 }}
+                onClick={requestControl}
+                disabled={handoverRequest?.client_id === clientIdRef.current}
+              >
+                Request Control
+              </button>
+            )}
+            <button className="btn btn-outline" style={{ padding: '5px 10px', fontSize: '14px', width: 'auto', margin: 0 }} onClick={leaveSession}>
+              Leave
+            </button>
+          </div>
+        )}
 
         {/* Share section with QR code */}
         <div style={{ 
@@ -1779,7 +3908,7 @@ function ConductorView({ onNavigate }) {
         </div>
         
         {/* Distribution Mode Buttons */}
-        <div style={{ marginBottom: '15px' }}>
+        <fieldset className="session-controls" style={{ marginBottom: '15px' }} disabled={!inControl}>
           <h3 className="subheader" style={{ marginBottom: '8px' }}>Distribution Mode</h3>
           <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
             <button 
@@ -1806,16 +3935,121 @@ function ConductorView({ onNavigate }) {
             >
               Random
             </button>
+            <button 
+              className={`btn ${distributionMode === 'score' ? '' : 'btn-outline'}`}
+              style={{ flex: 1, margin: 0 }}
+              onClick={() => handleDistributionModeChange('score')}
+              disabled={loading || distributionMode === 'score'}
+            >
+              Score
+            </button>
           </div>
           <p className="notice" style={{ marginTop: '5px', textAlign: 'center' }}>
             {distributionMode === 'unison' ? 'All players get the same card' : 
              distributionMode === 'unique' ? 'Each player gets a different card' : 
+             distributionMode === 'score' ? 'All players follow the score cue by cue' :
              'Each player gets a random card'}
           </p>
-        </div>
+        </fieldset>
+        
+        {/* Score playback controls */}
+        {distributionMode === 'score' && (() => {
+          const activeScore = scores.find(score => score.id === selectedScoreId);
+          if (!activeScore) return null;
+          return (
+            <fieldset className="score-controls session-controls" disabled={!inControl}>
+              <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+                <select
+                  className="input"
+                  style={{ flex: 1, margin: 0 }}
+                  value={selectedScoreId}
+                  disabled={scorePlaying}
+                  onChange={(e) => {
+                    setSelectedScoreId(e.target.value);
+                    engineRef.current.update({ session: { score_id: e.target.value } });
+                    safeOperation(() =>
+                      room.collection('session').update(sessionId, { score_id: e.target.value })
+                    ).catch(error => {
+                      console.error(`[${APP_VERSION}] Error saving session score:`, error);
+                      setError('Failed to save the session score');
+                    });
+                    goToScoreCue(0);
+                  }}
+                >
+                  {scores.map(score => (
+                    <option key={score.id} value={score.id}>{score.name}</option>
+                  ))}
+                </select>
+                {activeScore.seats && (
+                  <select
+                    className="input"
+                    style={{ width: 'auto', margin: 0 }}
+                    value={scoreMatchBy}
+                    disabled={scorePlaying}
+                    title="How recorded seats are matched to players"
+                    onChange={(e) => {
+                      setScoreMatchBy(e.target.value);
+                      safeOperation(() =>
+                        room.collection('session').update(sessionId, { score_match_by: e.target.value })
+                      ).catch(error => {
+                        console.error(`[${APP_VERSION}] Error saving session score matching:`, error);
+                        setError('Failed to save the session score matching');
+                      });
+                    }}
+                  >
+                    <option value="name">By name</option>
+                    <option value="seat">By seat</option>
+                  </select>
+                )}
+                <span style={{ fontSize: '14px', whiteSpace: 'nowrap' }}>
+                  Cue {Math.min(scoreIndex + 1, activeScore.entries.length)}/{activeScore.entries.length}
+                </span>
+              </div>
+              <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+                <button
+                  className="btn btn-outline"
+                  style={{ flex: 1, margin: 0 }}
+                  onClick={() => goToScoreCue(Math.max(0, scoreIndex - 1))}
+                  disabled={loading}
+                >
+                  ⏮ Rewind
+                </button>
+                <button
+                  className="btn"
+                  style={{ flex: 1, margin: 0 }}
+                  onClick={toggleScorePlayback}
+                  disabled={loading || players.length === 0}
+                >
+                  {scorePlaying ? '⏸ Pause' : '▶ Play'}
+                </button>
+                <button
+                  className="btn btn-outline"
+                  style={{ flex: 1, margin: 0 }}
+                  onClick={() => goToScoreCue(scoreIndex + 1)}
+                  disabled={loading}
+                >
+                  Skip ⏭
+                </button>
+              </div>
+              <div className="score-cue-list">
+                {activeScore.entries.map((entry, index) => (
+                  <div 
+                    key={index} 
+                    className={`score-cue ${index === scoreIndex ? 'score-cue-current' : ''}`}
+                  >
+                    <span>
+                      {index + 1}. {entry.section && `[${entry.section}] `}{entry.card || (entry.assignments ? `${entry.assignments.length} players` : 'Random card')}
+                    </span>
+                    <span>{entry.duration}s</span>
+                  </div>
+                ))}
+              </div>
+            </fieldset>
+          );
+        })()}
         
         {/* Controls - compact row */}
-        <div style={{ 
+        <fieldset className="session-controls" disabled={!inControl} style={{ 
           display: 'flex', 
           justifyContent: 'space-between', 
           gap: '10px', 
@@ -1846,7 +4080,7 @@ function ConductorView({ onNavigate }) {
             borderRadius: '8px',
             padding: '0 10px',
             cursor: 'pointer'
-          }} onClick={() => setAutoDistribute(!autoDistribute)}>
+          }} onClick={() => inControl && setAutoDistribute(!autoDistribute)}>
             <input
               type="checkbox"
               checked={autoDistribute}
@@ -1864,10 +4098,10 @@ function ConductorView({ onNavigate }) {
             />
             <span style={{ fontSize: '14px', whiteSpace: 'nowrap' }}>Auto</span>
           </div>
-        </div>
+        </fieldset>
         
         {/* Timer settings row */}
-        <div style={{ 
+        <fieldset className="session-controls" disabled={!inControl} style={{ 
           display: 'flex', 
           alignItems: 'center', 
           gap: '10px', 
@@ -1904,10 +4138,63 @@ function ConductorView({ onNavigate }) {
             style={{ flex: 1, margin: 0 }}
           />
           <span style={{ fontSize: '14px' }}>{maxTimerSeconds}s</span>
-        </div>
+          <span style={{ fontSize: '14px', whiteSpace: 'nowrap' }} title="Unison lead time">Lead:</span>
+          <input
+            type="number"
+            min="0"
+            max="15"
+            value={unisonLeadSeconds}
+            onChange={(e) => {
+              const value = Math.min(15, Math.max(0, parseInt(e.target.value) || 0));
+              setUnisonLeadSeconds(value);
+              if (sessionId) {
+                safeOperation(() =>
+                  room.collection('session').update(sessionId, { unison_lead_seconds: value })
+                );
+              }
+            }}
+            style={{ width: '50px', padding: '4px', borderRadius: '4px', border: '1px solid var(--border)' }}
+          />
+        </fieldset>
+
+        {/* Player timer display - applied live */}
+        <fieldset className="session-controls" disabled={!inControl} style={{ 
+          display: 'flex', 
+          alignItems: 'center', 
+          gap: '10px', 
+          marginBottom: '15px',
+          backgroundColor: '#f9f9f9',
+          padding: '8px',
+          borderRadius: '8px'
+        }}>
+          <div style={{ fontSize: '14px', whiteSpace: 'nowrap' }}>Player timer:</div>
+          <select
+            style={{ flex: 1, padding: '4px', borderRadius: '4px', border: '1px solid var(--border)' }}
+            value={playerTimerDisplay}
+            onChange={(e) => updateTimerDisplay(e.target.value)}
+          >
+            {PLAYER_TIMER_DISPLAYS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          {playerTimerDisplay === 'warning' && (
+            <>
+              <span style={{ fontSize: '14px', whiteSpace: 'nowrap' }}>last</span>
+              <input
+                type="number"
+                min="1"
+                max="60"
+                value={timerWarningSeconds}
+                onChange={(e) => updateTimerDisplay(playerTimerDisplay, Math.max(1, parseInt(e.target.value) || 1))}
+                style={{ width: '50px', padding: '4px', borderRadius: '4px', border: '1px solid var(--border)' }}
+              />
+              <span style={{ fontSize: '14px' }}>s</span>
+            </>
+          )}
+        </fieldset>
 
         {/* Action buttons */}
-        <div style={{ display: 'flex', gap: '10px', marginBottom: '15px' }}>
+        <fieldset className="session-controls" style={{ display: 'flex', gap: '10px', marginBottom: '15px' }} disabled={!inControl}>
           <button
             className="btn btn-action"
             style={{ flex: 1, margin: 0 }}
@@ -1941,7 +4228,7 @@ function ConductorView({ onNavigate }) {
                 );
                 
                 // Distribute cards to all players using current mode
-                await distributeCardsToAllPlayers();
+                await engineRef.current.deal(distributionMode);
                 
                 setSuccess(`Cards distributed to players in ${distributionMode} mode`);
                 setTimeout(() => setSuccess(''), 3000);
@@ -1952,11 +4239,20 @@ function ConductorView({ onNavigate }) {
                 setLoading(false);
               }
             }}
-            disabled={loading || endingSession}
+            disabled={loading || endingSession || paused}
           >
             {loading ? 'Sending...' : 'Distribute Cards Now'}
           </button>
           
+          <button
+            className={`btn ${paused ? '' : 'btn-outline'}`}
+            style={{ width: '120px', margin: 0 }}
+            onClick={paused ? resumeSession : pauseSession}
+            disabled={loading || endingSession}
+          >
+            {paused ? '▶ Resume' : '⏸ Pause'}
+          </button>
+          
           <button
             className="btn btn-outline"
             style={{ width: '120px', margin: 0 }}
@@ -1965,12 +4261,108 @@ function ConductorView({ onNavigate }) {
           >
             {endingSession ? `Ending in ${endCountdown}s` : 'End Session'}
           </button>
+        </fieldset>
+        
+        <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '10px' }}>
+          <span style={{ fontSize: '14px', color: 'var(--text-light)', flex: 1 }}>Performance log:</span>
+          <button className="btn btn-outline" style={{ padding: '5px 10px', fontSize: '14px', width: 'auto', margin: 0 }} onClick={() => exportSessionLog('json')} disabled={loading}>
+            Export JSON
+          </button>
+          <button className="btn btn-outline" style={{ padding: '5px 10px', fontSize: '14px', width: 'auto', margin: 0 }} onClick={() => exportSessionLog('csv')} disabled={loading}>
+            Export CSV
+          </button>
         </div>
         
+        {paused && (
+          <div className="paused-banner" style={{ marginBottom: '10px' }}>
+            Session paused - all timers are frozen
+          </div>
+        )}
+        
         {/* Status messages */}
         {error && <div className="error" style={{ margin: '5px 0', padding: '8px' }}>{error}</div>}
         {success && <div className="success" style={{ margin: '5px 0', padding: '8px' }}>{success}</div>}
 
+        {/* Decks in play - edits apply to the next cards dealt */}
+        <h3 className="subheader" style={{ marginBottom: '5px' }}>Decks in Play</h3>
+        <fieldset className="session-controls" style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '10px' }} disabled={!inControl}>
+          {decks
+            .filter(deck => deck.id === selectedDeck || groups.some(group => group.deck_id === deck.id))
+            .map(deck => (
+              <button
+                key={deck.id}
+                className={`btn ${editingDeckId === deck.id ? '' : 'btn-outline'}`}
+                style={{ padding: '5px 10px', fontSize: '14px', width: 'auto', margin: 0 }}
+                onClick={() => setEditingDeckId(editingDeckId === deck.id ? null : deck.id)}
+              >
+                Edit {deck.name} ({deck.card_count || deck.cards.length})
+              </button>
+            ))}
+        </fieldset>
+        {inControl && editingDeckId && decks.find(deck => deck.id === editingDeckId) && (
+          <DeckEditor
+            key={editingDeckId}
+            deck={decks.find(deck => deck.id === editingDeckId)}
+            onSave={saveDeck}
+            onCancel={() => setEditingDeckId(null)}
+            saving={loading}
+          />
+        )}
+
+        {/* Groups - sections of the ensemble with their own settings */}
+        <h3 className="subheader" style={{ marginBottom: '5px' }}>Groups</h3>
+        <fieldset className="session-controls" style={{ display: 'flex', gap: '10px', marginBottom: '10px' }} disabled={!inControl}>
+          <input
+            type="text"
+            className="input"
+            placeholder="New group name (e.g. Strings)"
+            value={newGroupName}
+            onChange={(e) => setNewGroupName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleAddGroup()}
+            style={{ margin: 0, flex: 1 }}
+          />
+          <button
+            className="btn btn-outline"
+            style={{ margin: 0 }}
+            onClick={handleAddGroup}
+            disabled={!newGroupName.trim()}
+          >
+            Add Group
+          </button>
+        </fieldset>
+        {groups.length > 0 && (
+          <fieldset className="group-list session-controls" disabled={!inControl}>
+            {groups.map(group => (
+              <GroupSettings
+                key={group.id}
+                group={group}
+                decks={decks}
+                members={players.filter(player => player.group_id === group.id)}
+                onChange={(changes) => updateGroup(group.id, changes)}
+                onDelete={() => deleteGroup(group.id)}
+                onDropPlayer={(playerId) => assignPlayerToGroup(playerId, group.id)}
+              />
+            ))}
+            <div
+              className="group-panel group-panel-ungrouped"
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={(e) => {
+                e.preventDefault();
+                const playerId = e.dataTransfer.getData('text/plain');
+                if (playerId) assignPlayerToGroup(playerId, null);
+              }}
+            >
+              <div style={{ fontWeight: 'bold' }}>Ungrouped</div>
+              <div className="notice">Uses the session deck, mode and timer</div>
+              <div className="group-members">
+                {players.filter(player => !groups.some(group => group.id === player.group_id)).map(player => (
+                  <span key={player.id} className="card-tag">{player.name}</span>
+                ))}
+              </div>
+            </div>
+          </fieldset>
+        )}
+
         {/* Players grid - enhanced to show more details about cards */}
         <h3 className="subheader" style={{ marginBottom: '5px', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
           <span>Players ({players.length})</span>
@@ -1983,20 +4375,54 @@ function ConductorView({ onNavigate }) {
           </button>
         </h3>
 
+        {/* Multi-select override toolbar */}
+        {selectedPlayerIds.length > 0 && (
+          <fieldset className="player-selection-bar session-controls" disabled={!inControl}>
+            <span>{selectedPlayerIds.length} selected</span>
+            <button className="btn" onClick={() => setSendTargetIds(selectedPlayerIds)} disabled={loading}>
+              Send Card
+            </button>
+            <button 
+              className="btn btn-outline" 
+              onClick={() => clearPlayerCards(players.filter(p => selectedPlayerIds.includes(p.id)))} 
+              disabled={loading}
+            >
+              Clear
+            </button>
+            <button className="btn btn-outline" onClick={() => setSelectedPlayerIds(players.map(p => p.id))}>
+              All
+            </button>
+            <button className="btn btn-outline" onClick={() => setSelectedPlayerIds([])}>
+              None
+            </button>
+          </fieldset>
+        )}
+
+        {inControl && sendTargetIds && (
+          <SendCardPanel
+            targets={players.filter(player => sendTargetIds.includes(player.id))}
+            decks={decks}
+            defaultDeckId={selectedDeck}
+            onSend={(choice) => sendCardToPlayers(players.filter(player => sendTargetIds.includes(player.id)), choice)}
+            onCancel={() => setSendTargetIds(null)}
+            sending={loading}
+          />
+        )}
+
         {players.length > 0 ? (
           <div className="player-grid">
             {players.map(player => {
               // Calculate remaining time for conductor view only
-              let timeRemaining = null;
-              if (player.current_card && player.current_card !== 'END' && player.card_start_time && player.card_duration) {
-                const cardStartTime = new Date(player.card_start_time).getTime();
-                const cardEndTime = cardStartTime + (player.card_duration * 1000);
-                const now = Date.now();
-                timeRemaining = Math.max(0, Math.ceil((cardEndTime - now) / 1000));
-              }
+              const now = paused && pausedAt ? pausedAt : Date.now();
+              const { timeRemaining } = getPlayerTimer(player, now);
               
               return (
-                <div key={player.id} className="player-card-mini" style={{
+                <div 
+                  key={player.id} 
+                  className="player-card-mini" 
+                  draggable={groups.length > 0 && inControl}
+                  onDragStart={(e) => e.dataTransfer.setData('text/plain', player.id)}
+                  style={{
                   border: player.current_card ? '2px solid var(--primary)' : '1px solid var(--border)',
                   opacity: player.active ? 1 : 0.6,
                   backgroundColor: player.current_card ? 'rgba(255, 78, 138, 0.05)' : '#fff'
@@ -2005,48 +4431,67 @@ function ConductorView({ onNavigate }) {
                     display: 'flex',
                     justifyContent: 'space-between'
                   }}>
-                    <span>{player.name}</span>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer', overflow: 'hidden' }}>
+                      <input
+                        type="checkbox"
+                        checked={selectedPlayerIds.includes(player.id)}
+                        disabled={!inControl}
+                        onChange={() => setSelectedPlayerIds(prevIds =>
+                          prevIds.includes(player.id)
+                            ? prevIds.filter(id => id !== player.id)
+                            : [...prevIds, player.id]
+                        )}
+                      />
+                      <span>{player.name}</span>
+                    </label>
                     {!player.active && <span style={{fontSize: '11px', color: 'var(--text-light)'}}>(inactive)</span>}
+                    {player.on_hold && <span style={{fontSize: '11px', color: 'var(--accent)'}}>(held)</span>}
                   </div>
                   
-                  {player.current_card && player.current_card !== 'END' ? (
-                    <div className="player-current-card">
-                      <div className="card-text-mini">{player.current_card}</div>
-                      <div className="card-source" style={{
-                        display: 'flex',
-                        justifyContent: 'space-between'
-                      }}>
-                        <span>From: {player.current_deck_name || "Unknown"}</span>
-                        {timeRemaining !== null && (
-                          <span style={{
-                            fontWeight: 'bold',
-                            color: timeRemaining < 5 ? 'var(--error)' : 'var(--accent)'
-                          }}>
-                            {timeRemaining}s
-                          </span>
-                        )}
-                      </div>
-                      <div style={{
-                        marginTop: '5px',
-                        height: '4px',
-                        backgroundColor: '#eee',
-                        borderRadius: '2px',
-                        overflow: 'hidden'
-                      }}>
-                        {timeRemaining !== null && player.card_duration && (
-                          <div style={{
-                            height: '100%',
-                            width: `${(timeRemaining / player.card_duration) * 100}%`,
-                            backgroundColor: 'var(--primary)',
-                            transition: 'width 1s linear'
-                          }}></div>
-                        )}
-                      </div>
+                  {player.clock_offset_ms !== undefined && (
+                    <div 
+                      className="card-source" 
+                      title="Measured clock offset from this device and round-trip latency"
+                      style={{ color: Math.abs(player.clock_offset_ms) > 500 ? 'var(--error)' : 'var(--text-light)' }}
+                    >
+                      Clock {player.clock_offset_ms > 0 ? '+' : ''}{player.clock_offset_ms}ms · {player.clock_rtt_ms}ms rtt
                     </div>
-                  ) : player.current_card === 'END' ? (
-                    <div className="player-card-ended">Session Ended</div>
-                  ) : (
-                    <div className="player-card-waiting">Waiting for card</div>
+                  )}
+                  
+                  {groups.length > 0 && (
+                    <select
+                      className="player-group-select"
+                      value={player.group_id || ''}
+                      onChange={(e) => assignPlayerToGroup(player.id, e.target.value)}
+                      disabled={!inControl}
+                    >
+                      <option value="">No group</option>
+                      {groups.map(group => (
+                        <option key={group.id} value={group.id}>{group.name}</option>
+                      ))}
+                    </select>
+                  )}
+                  
+                  <PlayerCardStatus player={player} now={now} decks={decks} />
+                  
+                  {player.current_card !== 'END' && (
+                    <fieldset className="player-actions session-controls" disabled={!inControl}>
+                      <button onClick={() => setSendTargetIds([player.id])} title="Send a card now">Send</button>
+                      <button onClick={() => clearPlayerCards([player])} title="Clear card and hold">Clear</button>
+                      <button 
+                        onClick={() => extendPlayerTimer(player)} 
+                        disabled={timeRemaining === null} 
+                        title="Add 15 seconds"
+                      >
+                        +15s
+                      </button>
+                      <button 
+                        onClick={() => dealNextCard(player)} 
+                        title="Skip to the next card"
+                      >
+                        Next
+                      </button>
+                    </fieldset>
                   )}
                 </div>
               );
@@ -2060,4 +4505,295 @@ function ConductorView({ onNavigate }) {
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
+// Replay View Component - plays back a recorded session's player grid from its event log
+function ReplayView({ onNavigate }) {
+  const [sessions, setSessions] = useState([]);
+  const [selectedSessionId, setSelectedSessionId] = useState('');
+  const [log, setLog] = useState(null);
+  const [position, setPosition] = useState(0); // seconds into the session
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const fileInputRef = useRef(null);
+
+  const duration = log ? getSessionLogDuration(log) : 0;
+
+  // Load recorded sessions, newest first
+  useEffect(() => {
+    const loadSessions = async () => {
+      try {
+        const sessionList = await safeOperation(() => room.collection('session').getList());
+        const recorded = sessionList
+          .filter(session => session.created_at)
+          .sort((a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime());
+        setSessions(recorded);
+        if (recorded.length > 0) {
+          setSelectedSessionId(recorded[0].id);
+        }
+      } catch (error) {
+        console.error(`[${APP_VERSION}] Error loading sessions for replay:`, error);
+      }
+    };
+
+    loadSessions();
+  }, []);
+
+  // Advance the replay clock while playing
+  useEffect(() => {
+    if (!playing) return;
+
+    const tickMs = 250;
+    const interval = setInterval(() => {
+      setPosition(prev => {
+        const next = prev + (tickMs / 1000) * speed;
+        if (next >= duration) {
+          setPlaying(false);
+          return duration;
+        }
+        return next;
+      });
+    }, tickMs);
+
+    return () => clearInterval(interval);
+  }, [playing, speed, duration]);
+
+  const openLog = (nextLog) => {
+    setLog(nextLog);
+    setPosition(0);
+    setPlaying(false);
+    console.log(`[${APP_VERSION}] Loaded session log with ${nextLog.events.length} events`);
+  };
+
+  // Load a session's log from the room
+  const loadRecordedSession = async () => {
+    const session = sessions.find(item => item.id === selectedSessionId);
+    if (!session) return;
+
+    try {
+      setLoading(true);
+      setError('');
+      const events = await loadSessionEvents(session.id);
+      if (events.length === 0) {
+        setError('No events were recorded for this session');
+        return;
+      }
+      openLog(buildSessionLog(session, events));
+    } catch (error) {
+      setError('Failed to load session log');
+      console.error(`[${APP_VERSION}] Error loading session log:`, error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Load a log exported as JSON from the conductor view
+  const handleFileUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        const parsed = JSON.parse(event.target.result);
+        if (!parsed.session?.created_at || !Array.isArray(parsed.events)) {
+          setError('This file is not an exported session log');
+          return;
+        }
+        setError('');
+        openLog(parsed);
+      } catch (error) {
+        setError('Could not read session log file');
+        console.error(`[${APP_VERSION}] Error parsing session log file:`, error);
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  // Keep the replayed performance as a score that re-deals the same cards to the same seats
+  const saveAsScore = async () => {
+    if (!log.events.some(event => event.type === 'deal')) {
+      setError('No cards were dealt in this session');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      const score = await createScoreFromSessionLog(
+        log,
+        `Session ${log.session.pin || ''} (${new Date(log.session.created_at).toLocaleDateString()})`
+      );
+      setSuccess(`Saved as score "${score.name}" with ${score.cue_count} cues`);
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      setError('Failed to save session as score');
+      console.error(`[${APP_VERSION}] Error saving session as score:`, error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replayState = log ? getReplayStateAt(log, position) : null;
+  const recentEvents = log
+    ? log.events.filter(event => Number(event.elapsed_seconds) <= position).slice(-5).reverse()
+    : [];
+
+  return (
+    <div className="container">
+      <div className="card">
+        <h2 className="header">Session Replay</h2>
+
+        <h3 className="subheader">Recorded Sessions</h3>
+        {sessions.length > 0 ? (
+          <div style={{ display: 'flex', gap: '10px' }}>
+            <select
+              className="input"
+              value={selectedSessionId}
+              onChange={(e) => setSelectedSessionId(e.target.value)}
+            >
+              {sessions.map(session => (
+                <option key={session.id} value={session.id}>
+                  PIN {session.pin} - {new Date(session.created_at).toLocaleString()}
+                </option>
+              ))}
+            </select>
+            <button
+              className="btn"
+              style={{ width: 'auto', margin: 0 }}
+              onClick={loadRecordedSession}
+              disabled={loading || !selectedSessionId}
+            >
+              {loading ? 'Loading...' : 'Load'}
+            </button>
+          </div>
+        ) : (
+          <p>No recorded sessions yet.</p>
+        )}
+
+        <div style={{ marginTop: '10px' }}>
+          <input
+            type="file"
+            accept=".json"
+            ref={fileInputRef}
+            onChange={handleFileUpload}
+            style={{ display: 'none' }}
+          />
+          <button className="btn btn-outline btn-block" onClick={() => fileInputRef.current.click()}>
+            Open Exported Log (JSON)
+          </button>
+        </div>
+
+        {error && <div className="error">{error}</div>}
+        {success && <div className="success">{success}</div>}
+
+        {log && replayState && (
+          <>
+            <hr style={{ margin: '20px 0', border: 'none', borderTop: '1px solid var(--border)' }} />
+
+            <div className="replay-controls">
+              <button
+                className="btn"
+                style={{ width: '80px', margin: 0 }}
+                onClick={() => {
+                  if (position >= duration) setPosition(0);
+                  setPlaying(!playing);
+                }}
+              >
+                {playing ? '⏸' : '▶'}
+              </button>
+              <select
+                className="input"
+                style={{ width: '80px', margin: 0 }}
+                value={speed}
+                onChange={(e) => setSpeed(Number(e.target.value))}
+              >
+                {[1, 2, 4, 8, 16].map(value => (
+                  <option key={value} value={value}>{value}x</option>
+                ))}
+              </select>
+              <input
+                type="range"
+                className="replay-scrubber"
+                min="0"
+                max={duration}
+                step="0.25"
+                value={position}
+                onChange={(e) => setPosition(Number(e.target.value))}
+              />
+              <span className="replay-time">
+                {formatDuration(position)} / {formatDuration(duration)}
+              </span>
+            </div>
+
+            {replayState.paused && (
+              <div className="paused-banner" style={{ marginBottom: '10px' }}>
+                Session paused - all timers are frozen
+              </div>
+            )}
+
+            {replayState.players.length > 0 ? (
+              <div className="player-grid">
+                {replayState.players.map(player => (
+                  <div
+                    key={player.id}
+                    className="player-card-mini"
+                    style={{
+                      border: player.current_card ? '2px solid var(--primary)' : '1px solid var(--border)',
+                      opacity: player.active ? 1 : 0.6,
+                      backgroundColor: player.current_card ? 'rgba(255, 78, 138, 0.05)' : '#fff'
+                    }}
+                  >
+                    <div className="player-name" style={{ display: 'flex', justifyContent: 'space-between' }}>
+                      <span>{player.name}</span>
+                      {!player.active && <span style={{fontSize: '11px', color: 'var(--text-light)'}}>(inactive)</span>}
+                    </div>
+                    <PlayerCardStatus player={player} now={replayState.now} decks={decks} />
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div style={{ padding: '15px', backgroundColor: '#f9f9f9', borderRadius: '8px', textAlign: 'center' }}>
+                <p>No players had joined yet at this point.</p>
+              </div>
+            )}
+
+            <button
+              className="btn btn-outline btn-block"
+              style={{ marginTop: '15px' }}
+              onClick={saveAsScore}
+              disabled={loading}
+            >
+              Save as Score
+            </button>
+
+            {recentEvents.length > 0 && (
+              <div className="replay-events">
+                {recentEvents.map((event, index) => (
+                  <div key={`${event.at}-${index}`}>
+                    <span className="replay-time">{formatDuration(event.elapsed_seconds)}</span>{' '}
+                    {event.type}
+                    {event.player_name && ` · ${event.player_name}`}
+                    {event.card && ` · ${event.card}`}
+                    {event.details && ` · ${event.details}`}
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+
+        <button
+          className="btn btn-outline btn-block"
+          onClick={() => onNavigate('home')}
+          style={{ marginTop: '15px' }}
+        >
+          Back
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,684 @@
+// Distribution engine - deals cards for one session independently of any view. Whoever
+// drives it (the conductor view, or a headless runner) feeds it the session record, the
+// players, decks and scores as they change; the engine runs auto-distribution and score
+// playback, writes its deals to the room and reports its runtime state back through
+// onChange: { scoreIndex, scorePlaying, paused, pausedAt }.
+//
+// Settings are read from the session record fields: distribution_mode, selected_deck_id,
+// deck_mix, min_timer_seconds, max_timer_seconds, groups, auto_distribute,
+// unison_lead_seconds, score_id, score_match_by and seed.
+
+const ENGINE_TICK_INTERVAL = 250; // ms
+const AUTO_DISTRIBUTE_INTERVAL = 2000; // ms between checks for players needing a card
+const AUTO_DISTRIBUTE_SPACING = 800; // ms between single deals, to avoid overloading the room
+const UNISON_SEQUENCE_LENGTH = 10;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Whether a player has run out of card and should be dealt the next one automatically
+const playerNeedsCard = (player, now) => {
+  // Skip inactive players, and players the conductor has put on hold
+  if (!player.active || player.on_hold) return false;
+
+  // Explicitly ready for a card, or no card at all
+  if (player.ready_for_card === true || !player.current_card) return true;
+
+  // End signal is not a real card
+  if (player.current_card === 'END') return false;
+
+  // If there's no start time or duration, something's wrong
+  if (!player.card_start_time || !player.card_duration) return true;
+
+  // Add a 1-second buffer to ensure the timer has fully completed
+  const cardEndTime = new Date(player.card_start_time).getTime() + (player.card_duration * 1000);
+  return now > (cardEndTime + 1000);
+};
+
+const createDistributionEngine = ({ session, onChange = () => {}, onDealt = () => {}, onError = () => {} }) => {
+  const state = { session, players: [], decks: [], scores: [] };
+  // Seeded from the session so picks can be replayed. An engine started on recovery or
+  // handover starts the stream over, so its picks differ from a straight run of the seed.
+  const random = session.seed ? createSeededRandom(session.seed) : Math.random;
+  const pending = new Set(); // players with a deal in flight
+  let unisonSequences = restoreUnisonSequences(session.unison_sequences);
+  let status = {
+    scoreIndex: session.score_index || 0,
+    scorePlaying: !!session.score_playing,
+    paused: !!session.paused,
+    pausedAt: session.paused && session.paused_at ? new Date(session.paused_at).getTime() : null
+  };
+  let scoreCueEnd = null; // ms timestamp the current score cue ends
+  let scoreAnchor = null; // ms timestamp of offset 0 while playing a score with cue offsets
+  let tickTimer = null;
+  let lastAutoCheck = 0;
+  let autoDistributing = false;
+  let advancingScore = false;
+
+  const setStatus = (changes) => {
+    status = { ...status, ...changes };
+    onChange(status);
+  };
+
+  // Change the session record, keeping the engine's copy in step
+  const writeSession = (changes) => {
+    state.session = { ...state.session, ...changes };
+    return safeOperation(() => room.collection('session').update(state.session.id, changes));
+  };
+
+  const getMode = () => state.session.distribution_mode || 'unison';
+  const getScore = () => state.scores.find(score => score.id === state.session.score_id);
+  const findDeck = (deckId) => state.decks.find(deck => deck.id === deckId);
+
+  // Deck, mode and timer range that apply to a player's group
+  const getGroupSettings = (player, sessionMode = getMode()) => {
+    const group = (state.session.groups || []).find(g => g.id === player.group_id);
+    return {
+      key: group ? group.id : '',
+      name: group ? group.name : 'Everyone',
+      deckId: group?.deck_id || state.session.selected_deck_id || state.session.active_deck_id,
+      usesSessionDeck: !group?.deck_id,
+      mode: group?.distribution_mode || sessionMode,
+      minTimerSeconds: group?.min_timer_seconds || state.session.min_timer_seconds || 30,
+      maxTimerSeconds: group?.max_timer_seconds || state.session.max_timer_seconds || 90
+    };
+  };
+
+  // The session's decks combined by proportion, or null when dealing from one deck
+  const getSessionDeckMix = () =>
+    (state.session.deck_mix || []).length > 0 ? buildDeckMix(state.session.deck_mix, state.decks) : null;
+
+  // Deck to deal from for a set of group settings - the session's deck mix unless the group has its own deck
+  const getSettingsDeckData = (settings) =>
+    (settings.usesSessionDeck && getSessionDeckMix()) || findDeck(settings.deckId);
+
+  // Split players into buckets that share the same group settings
+  const groupPlayersBySettings = (playerList, sessionMode = getMode()) => {
+    const buckets = {};
+    for (const player of playerList) {
+      const settings = getGroupSettings(player, sessionMode);
+      if (!buckets[settings.key]) {
+        buckets[settings.key] = { ...settings, players: [] };
+      }
+      buckets[settings.key].players.push(player);
+    }
+    return Object.values(buckets);
+  };
+
+  // Shared start time for a unison deal, far enough ahead for every write to land
+  const getUnisonStartTime = () =>
+    new Date(Date.now() + (state.session.unison_lead_seconds ?? DEFAULT_UNISON_LEAD_SECONDS) * 1000);
+
+  // Weighted card sequence with card-count cooldowns, for unison groups to work through
+  const generateCardSequence = (cards, count = UNISON_SEQUENCE_LENGTH) => {
+    const sequence = [];
+    for (let i = 0; i < count; i++) {
+      const history = sequence.map(card => ({ text: getCardText(card) }));
+      const card = pickWeightedCard(cards, { histories: [history], random });
+      if (card === null) break;
+      sequence.push(card);
+    }
+    return sequence;
+  };
+
+  // Get the shared unison card for a group, advancing (or restarting) its sequence
+  const nextUnisonCard = (groupKey, deckData, restart = false) => {
+    let sequence = unisonSequences[groupKey];
+
+    if (sequence && !sequence.cards && sequence.deckId === deckData.id) {
+      // Sequence recovered from the session record - find its cards in the deck again, as the
+      // deck's own card objects so a mix's cards keep the deck they came from
+      const cards = sequence.titles.map(title => deckData.cards.find(card => getCardText(card) === title)).filter(Boolean);
+      sequence = { deckId: sequence.deckId, cards, index: Math.min(sequence.index, Math.max(0, cards.length - 1)) };
+    }
+
+    if (!sequence || sequence.deckId !== deckData.id || !sequence.cards || sequence.cards.length === 0) {
+      sequence = { deckId: deckData.id, cards: generateCardSequence(deckData.cards), index: 0 };
+    } else if (restart) {
+      // Reset to first card in sequence for manual distribution
+      sequence = { ...sequence, index: 0 };
+    } else {
+      sequence = { ...sequence, index: (sequence.index + 1) % sequence.cards.length };
+    }
+
+    unisonSequences[groupKey] = sequence;
+    // Keep the sequences on the session record so a recovered conductor carries on from here
+    writeSession({ unison_sequences: serializeUnisonSequences(unisonSequences) })
+      .catch(error => console.error(`[${APP_VERSION}] Error saving unison sequence:`, error));
+
+    const sharedCard = sequence.cards[sequence.index];
+    console.log(`[${APP_VERSION}] Using unison card sequence for ${groupKey || 'session'}: card ${sequence.index + 1}/${sequence.cards.length}: "${getCardText(sharedCard)}"`);
+    return sharedCard;
+  };
+
+  // Keep our own copy of players in step with what was just written to them, so the next
+  // tick neither deals to them again nor builds on a stale card history
+  const applyPlayerChanges = (playerId, changes) => {
+    state.players = state.players.map(p => p.id === playerId ? { ...p, ...changes } : p);
+  };
+
+  // distributeCard against the engine's latest copy of the player, recording the deal
+  const distribute = async (player, ...args) => {
+    const current = state.players.find(p => p.id === player.id) || player;
+    const result = await distributeCard(current, ...args);
+    if (result.success) {
+      applyPlayerChanges(player.id, result.playerUpdate);
+    } else if (result.error) {
+      onError(`Could not deal to ${player.name}: ${result.error}`);
+    }
+    return result;
+  };
+
+  // Deal to one player with their group's deck and settings. Returns the card dealt, or
+  // null when nothing was dealt.
+  const dealToPlayer = async (player, sharedCard = null, sessionMode = getMode(), options = {}) => {
+    // Skip if already distributing to this player
+    if (pending.has(player.id)) {
+      console.log(`[${APP_VERSION}] Already distributing to player ${player.id}, skipping`);
+      return null;
+    }
+
+    try {
+      pending.add(player.id);
+
+      const settings = getGroupSettings(player, sessionMode);
+      const deckData = getSettingsDeckData(settings);
+      if (!deckData || !deckData.cards || deckData.cards.length === 0) {
+        console.error(`[${APP_VERSION}] Selected deck has no cards`);
+        return null;
+      }
+
+      console.log(`[${APP_VERSION}] Distributing card to player ${player.id} (${player.name}) in group ${settings.name}, mode: ${settings.mode}`);
+      const result = await distribute(
+        player,
+        deckData,
+        settings.mode,
+        state.players.filter(p => getGroupSettings(p, sessionMode).key === settings.key),
+        settings.minTimerSeconds,
+        settings.maxTimerSeconds,
+        sharedCard,
+        { random, ...options }
+      );
+
+      if (result.reason === 'CARD_STILL_ACTIVE') {
+        console.log(`[${APP_VERSION}] Skipped distribution - player ${player.name} has an active card with ${result.timeRemaining}s remaining`);
+      }
+      return result.success ? result.card : null;
+    } finally {
+      pending.delete(player.id);
+    }
+  };
+
+  // Deal one shared card to a whole unison group with a common start and duration
+  const dealUnisonBucket = async (bucket, sharedCard, sessionMode = getMode()) => {
+    const options = {
+      startTime: getUnisonStartTime(),
+      duration: pickCardDuration(sharedCard, bucket.minTimerSeconds, bucket.maxTimerSeconds, random)
+    };
+    const targets = bucket.players.filter(player => !pending.has(player.id));
+
+    console.log(`[${APP_VERSION}] Unison card "${getCardText(sharedCard)}" for ${targets.length} players in ${bucket.name}, starting ${options.startTime.toISOString()}`);
+    await Promise.all(targets.map(player => dealToPlayer(player, sharedCard, sessionMode, options)));
+  };
+
+  // Deal to a set of players group by group - unison groups share a card from their
+  // sequence (restarting it for a manual deal), everyone else is dealt one at a time
+  const dealBuckets = async (playerList, sessionMode, restartUnison) => {
+    for (const bucket of groupPlayersBySettings(playerList, sessionMode)) {
+      // Players following the score are dealt by score playback
+      if (bucket.mode === 'score') continue;
+
+      const deckData = getSettingsDeckData(bucket);
+      if (bucket.mode === 'unison' && deckData && deckData.cards && deckData.cards.length > 0) {
+        await dealUnisonBucket(bucket, nextUnisonCard(bucket.key, deckData, restartUnison), sessionMode);
+        continue;
+      }
+
+      for (const player of bucket.players) {
+        if (pending.has(player.id)) continue;
+        await dealToPlayer(player, null, sessionMode);
+        await wait(AUTO_DISTRIBUTE_SPACING);
+      }
+    }
+  };
+
+  // Scores recorded from a session keep each cue's offset_ms, and are timed from a fixed
+  // anchor rather than by chaining durations, so tick latency never adds up. A cue with an
+  // offset starts at its place on the anchor (or now, if playback has fallen behind).
+  const hasCueOffset = (entry) => Number.isFinite(entry?.offset_ms);
+
+  const getCueStartTime = (entry) =>
+    hasCueOffset(entry) && scoreAnchor !== null
+      ? new Date(Math.max(scoreAnchor + entry.offset_ms, Date.now()))
+      : getUnisonStartTime();
+
+  // When to move on from a cue - a timed next cue is dealt its lead time ahead of its start
+  const scheduleCueEnd = (score, index, cueStartedAt) => {
+    const entry = score.entries[index];
+    const next = score.entries[index + 1];
+    if (!hasCueOffset(entry)) {
+      scoreAnchor = null;
+      scoreCueEnd = cueStartedAt.getTime() + entry.duration * 1000;
+      return;
+    }
+
+    if (scoreAnchor === null) scoreAnchor = cueStartedAt.getTime() - entry.offset_ms;
+    const leadMs = (state.session.unison_lead_seconds ?? DEFAULT_UNISON_LEAD_SECONDS) * 1000;
+    scoreCueEnd = hasCueOffset(next)
+      ? scoreAnchor + next.offset_ms - leadMs
+      : cueStartedAt.getTime() + entry.duration * 1000;
+  };
+
+  // Deal a cue from a recorded session - each seat gets exactly the card and duration it had
+  const dealRecordedCue = async (score, index, activePlayers) => {
+    const entry = score.entries[index];
+    const playersBySeat = matchRecordedSeats(score.seats || [], activePlayers, state.session.score_match_by || 'name');
+    const cueStartedAt = getCueStartTime(entry);
+    const fallbackDeck = findDeck(state.session.selected_deck_id || state.session.active_deck_id);
+
+    scheduleCueEnd(score, index, cueStartedAt);
+    setStatus({ scoreIndex: index });
+    console.log(`[${APP_VERSION}] Recorded cue ${index + 1}/${score.entries.length}: ${entry.assignments.length} deals`);
+
+    await Promise.all(entry.assignments.map(assignment => {
+      const player = playersBySeat[assignment.seat];
+      if (!player) return null;
+
+      const deckData = findDeck(assignment.deck_id) || fallbackDeck;
+      if (!deckData) {
+        // The recorded deck was deleted and the session has no deck to stand in for it
+        onError(`Deck ${assignment.deck_id} for seat ${assignment.seat} in cue ${index + 1} is not available`);
+        return null;
+      }
+      const card = parseDeckCards(deckData.cards).find(c => c.title === assignment.card) || assignment.card;
+      return distribute(
+        player,
+        deckData,
+        'score',
+        state.players,
+        state.session.min_timer_seconds,
+        state.session.max_timer_seconds,
+        card,
+        { force: true, duration: assignment.duration, startTime: cueStartedAt, random }
+      );
+    }));
+
+    await writeSession({
+      score_id: score.id,
+      score_index: index,
+      score_playing: true,
+      score_cue_started_at: cueStartedAt.toISOString()
+    });
+    onDealt();
+  };
+
+  // Deal one score cue to every active player following the score at once
+  const dealScoreCue = async (index) => {
+    const score = getScore();
+    if (!score || !score.entries || !score.entries[index]) {
+      throw new Error('Score cue not found');
+    }
+
+    const entry = score.entries[index];
+    const activePlayers = state.players.filter(p =>
+      p.active && !p.session_ended && !p.on_hold && getGroupSettings(p).mode === 'score'
+    );
+
+    // Recorded cues name their own decks
+    if (entry.assignments) {
+      return dealRecordedCue(score, index, activePlayers);
+    }
+
+    const deckData = (entry.deck_id && findDeck(entry.deck_id)) || getSessionDeckMix() ||
+      findDeck(state.session.selected_deck_id || state.session.active_deck_id);
+    if (!deckData) {
+      throw new Error(`Deck for cue ${index + 1} is not available`);
+    }
+
+    const cueCard = entry.card
+      ? (parseDeckCards(deckData.cards).find(card => card.title === entry.card) || entry.card)
+      : pickWeightedCard(deckData.cards, { histories: activePlayers.map(p => p.card_history || []), random });
+    const cueStartedAt = getCueStartTime(entry);
+
+    scheduleCueEnd(score, index, cueStartedAt);
+    setStatus({ scoreIndex: index });
+    console.log(`[${APP_VERSION}] Score cue ${index + 1}/${score.entries.length}: "${getCardText(cueCard)}" for ${entry.duration}s`);
+
+    await Promise.all(activePlayers.map(player =>
+      distribute(
+        player,
+        deckData,
+        'score',
+        state.players,
+        state.session.min_timer_seconds,
+        state.session.max_timer_seconds,
+        cueCard,
+        { force: true, duration: entry.duration, startTime: cueStartedAt, random }
+      )
+    ));
+
+    await writeSession({
+      score_id: score.id,
+      score_index: index,
+      score_playing: true,
+      score_cue_started_at: cueStartedAt.toISOString(),
+      active_deck_id: deckData.id
+    });
+    onDealt();
+  };
+
+  // Move to a score cue, dealing it straight away if the score is playing. Jumping to a
+  // cue restarts the timing from it; playback moving on keeps the score's timing.
+  const goToCue = async (index, playing = status.scorePlaying, keepTiming = false) => {
+    const score = getScore();
+    if (!score) return;
+    if (!keepTiming) scoreAnchor = null;
+
+    if (index >= score.entries.length) {
+      scoreCueEnd = null;
+      setStatus({ scorePlaying: false });
+      await writeSession({ score_playing: false });
+      console.log(`[${APP_VERSION}] Score finished`);
+      return;
+    }
+
+    const target = Math.max(0, index);
+    setStatus({ scoreIndex: target, scorePlaying: playing });
+    if (playing) {
+      await dealScoreCue(target);
+    } else {
+      scoreCueEnd = null;
+    }
+  };
+
+  // Play the score from the current cue, or stop on it - resuming re-deals the cue from the start
+  const toggleScore = async () => {
+    if (status.scorePlaying) {
+      scoreCueEnd = null;
+      scoreAnchor = null;
+      setStatus({ scorePlaying: false });
+      await writeSession({ score_playing: false });
+    } else {
+      await goToCue(status.scoreIndex, true);
+    }
+  };
+
+  // Deal everyone a new card now in the given mode - a score starts playing from its current cue
+  const deal = async (mode = getMode()) => {
+    const activePlayers = state.players.filter(player => player.active);
+    if (activePlayers.length === 0) {
+      throw new Error('No players have joined yet');
+    }
+
+    if (mode === 'score') {
+      await goToCue(status.scoreIndex, true);
+      return;
+    }
+
+    console.log(`[${APP_VERSION}] Distributing cards to all players in ${mode} mode`);
+
+    // Mark everyone ready so the deal isn't skipped for running cards
+    await Promise.all(activePlayers.map(player =>
+      safeOperation(() => room.collection('player').update(player.id, { ready_for_card: true }))
+    ));
+    await wait(1000);
+
+    await dealBuckets(activePlayers, mode, true);
+    onDealt();
+  };
+
+  // Skip one player straight to their next card
+  const dealPlayer = async (player) => {
+    const card = await dealToPlayer(player, null, getMode(), { force: true });
+    onDealt();
+    return card;
+  };
+
+  // Conductor override - push a chosen, typed or random card to players immediately.
+  // Returns how many players were sent the card.
+  const override = async (targetPlayers, { deckId, cardTitle, customText, duration }) => {
+    const deckData = customText
+      ? { id: null, name: 'Conductor', cards: [customText] }
+      : findDeck(deckId);
+    if (!deckData) {
+      throw new Error('Please choose a deck or type a card');
+    }
+
+    const card = customText || (cardTitle
+      ? parseDeckCards(deckData.cards).find(c => c.title === cardTitle)
+      : null);
+
+    const results = await Promise.all(targetPlayers.map(player => {
+      const settings = getGroupSettings(player);
+      return distribute(
+        player,
+        deckData,
+        card ? 'unison' : 'random',
+        state.players,
+        settings.minTimerSeconds,
+        settings.maxTimerSeconds,
+        card,
+        { force: true, duration, random }
+      );
+    }));
+    onDealt();
+    return results.filter(result => result.success).length;
+  };
+
+  // Clear players' cards and hold them until the conductor sends another
+  const hold = async (targetPlayers) => {
+    const changes = {
+      current_card: null,
+      current_card_data: null,
+      card_start_time: null,
+      card_duration: null,
+      on_hold: true,
+      ready_for_card: false
+    };
+    await Promise.all(targetPlayers.map(async player => {
+      await safeOperation(() => room.collection('player').update(player.id, changes));
+      applyPlayerChanges(player.id, changes);
+    }));
+    onDealt();
+  };
+
+  // Add time to a player's running card. Returns the new duration, or null if there is no running card.
+  const extend = async (player, seconds = 15) => {
+    if (!player.current_card || player.current_card === 'END' || !player.card_duration) return null;
+
+    const cardDuration = player.card_duration + seconds;
+    await safeOperation(() =>
+      room.collection('player').update(player.id, { card_duration: cardDuration })
+    );
+    applyPlayerChanges(player.id, { card_duration: cardDuration });
+    return cardDuration;
+  };
+
+  // Switch the session's distribution mode and redistribute - score mode waits for play
+  const setMode = async (newMode) => {
+    state.session = { ...state.session, distribution_mode: newMode };
+    scoreCueEnd = null;
+    scoreAnchor = null;
+
+    if (newMode === 'score') {
+      setStatus({ scoreIndex: 0, scorePlaying: false });
+      await writeSession({
+        distribution_mode: newMode,
+        score_id: state.session.score_id,
+        score_index: 0,
+        score_playing: false
+      });
+      logSessionEvent(state.session.id, 'mode_change', { details: newMode });
+      return;
+    }
+
+    // Leaving score mode stops playback; unison starts its sequences over
+    setStatus({ scorePlaying: false });
+    if (newMode === 'unison') {
+      unisonSequences = {};
+    }
+
+    await writeSession({ distribution_mode: newMode });
+    console.log(`[${APP_VERSION}] Distribution mode changed to: ${newMode}`);
+    logSessionEvent(state.session.id, 'mode_change', { details: newMode });
+
+    await deal(newMode);
+  };
+
+  // Freeze the session - auto-distribution and score playback wait until resume
+  const pause = async (now = Date.now()) => {
+    if (status.paused) return;
+
+    setStatus({ paused: true, pausedAt: now });
+    await writeSession({ paused: true, paused_at: new Date(now).toISOString() });
+    logSessionEvent(state.session.id, 'pause');
+  };
+
+  // Resume - shift every running card's start time by the length of the pause. Returns the
+  // shifted start times by player id so the caller can update its own copy of the players.
+  const resume = async (now = Date.now()) => {
+    if (!status.paused) return {};
+
+    const pausedAt = status.pausedAt || now;
+    const pauseMs = now - pausedAt;
+
+    // Shift running cards before clearing the pause so no player sees their card expire early
+    const runningPlayers = state.players.filter(player =>
+      player.current_card && player.current_card !== 'END' && player.card_start_time && player.card_duration &&
+      new Date(player.card_start_time).getTime() + (player.card_duration * 1000) > pausedAt
+    );
+
+    const shiftedStarts = {};
+    runningPlayers.forEach(player => {
+      shiftedStarts[player.id] = new Date(new Date(player.card_start_time).getTime() + pauseMs).toISOString();
+    });
+
+    await Promise.all(runningPlayers.map(player =>
+      safeOperation(() =>
+        room.collection('player').update(player.id, {
+          card_start_time: shiftedStarts[player.id],
+          card_shifted_from: player.card_start_time
+        })
+      )
+    ));
+
+    // Keep our own copy in step so auto-distribution doesn't see the old end times
+    state.players = state.players.map(player =>
+      shiftedStarts[player.id] ? { ...player, card_start_time: shiftedStarts[player.id] } : player
+    );
+
+    if (scoreCueEnd) {
+      scoreCueEnd += pauseMs;
+    }
+    if (scoreAnchor !== null) {
+      scoreAnchor += pauseMs;
+    }
+
+    await writeSession({ paused: false, paused_at: null, resumed_at: new Date(now).toISOString() });
+    setStatus({ paused: false, pausedAt: null });
+    logSessionEvent(state.session.id, 'resume', { duration: Math.round(pauseMs / 1000) });
+    console.log(`[${APP_VERSION}] Session resumed after ${Math.round(pauseMs / 1000)}s, shifted ${runningPlayers.length} cards`);
+    return shiftedStarts;
+  };
+
+  // Score playback - advance to the next cue when the current one ends
+  const advanceScore = async (now) => {
+    if (advancingScore || !status.scorePlaying || status.paused || getMode() !== 'score') return;
+    if (!scoreCueEnd || now < scoreCueEnd) return;
+
+    advancingScore = true;
+    try {
+      scoreCueEnd = null;
+      await goToCue(status.scoreIndex + 1, true, true);
+    } catch (error) {
+      onError(error.message);
+      console.error(`[${APP_VERSION}] Error advancing score:`, error);
+    } finally {
+      advancingScore = false;
+    }
+  };
+
+  // Auto-distribution - deal to every player whose card has run out
+  const autoDistribute = async (now) => {
+    if (autoDistributing || status.paused || state.session.auto_distribute === false) return;
+    if (now - lastAutoCheck < AUTO_DISTRIBUTE_INTERVAL) return;
+    lastAutoCheck = now;
+
+    // Players following the score are dealt by score playback
+    const playersNeedingCards = state.players.filter(player =>
+      playerNeedsCard(player, now) && getGroupSettings(player).mode !== 'score' && !pending.has(player.id)
+    );
+    if (playersNeedingCards.length === 0) return;
+
+    autoDistributing = true;
+    try {
+      console.log(`[${APP_VERSION}] Auto-distributing cards to ${playersNeedingCards.length} players:`,
+        playersNeedingCards.map(p => p.name));
+      await dealBuckets(playersNeedingCards, getMode(), false);
+    } catch (error) {
+      console.error(`[${APP_VERSION}] Error auto-distributing:`, error);
+    } finally {
+      autoDistributing = false;
+    }
+  };
+
+  // One pass of the engine's clock - score playback and auto-distribution run side by
+  // side, so a long auto-distribution round never holds up the next score cue
+  const tick = (now = Date.now()) => Promise.all([advanceScore(now), autoDistribute(now)]);
+
+  const start = () => {
+    if (tickTimer) return;
+
+    // A score cue in progress carries on from when it started
+    const score = getScore();
+    if (status.scorePlaying && state.session.score_cue_started_at && score?.entries?.[status.scoreIndex] && !scoreCueEnd) {
+      scheduleCueEnd(score, status.scoreIndex, new Date(state.session.score_cue_started_at));
+    }
+
+    console.log(`[${APP_VERSION}] Distribution engine started for session ${state.session.pin || state.session.id}`);
+    tickTimer = setInterval(() => tick(), ENGINE_TICK_INTERVAL);
+  };
+
+  const stop = () => {
+    if (!tickTimer) return;
+    clearInterval(tickTimer);
+    tickTimer = null;
+    console.log(`[${APP_VERSION}] Distribution engine stopped for session ${state.session.pin || state.session.id}`);
+  };
+
+  // Take in newer session settings, players, decks or scores
+  const update = ({ session: sessionChanges, players, decks, scores }) => {
+    if (sessionChanges) state.session = { ...state.session, ...sessionChanges };
+    if (players) state.players = players;
+    if (decks) state.decks = decks;
+    if (scores) state.scores = scores;
+  };
+
+  // Drop unison sequences (one group's, or all) so edited decks and settings apply straight away
+  const resetUnison = (groupKey = null) => {
+    if (groupKey === null) {
+      unisonSequences = {};
+    } else {
+      delete unisonSequences[groupKey];
+    }
+  };
+
+  return {
+    start,
+    stop,
+    tick,
+    update,
+    deal,
+    dealPlayer,
+    override,
+    hold,
+    extend,
+    setMode,
+    goToCue,
+    toggleScore,
+    pause,
+    resume,
+    resetUnison,
+    getStatus: () => status,
+    getSession: () => state.session
+  };
+};
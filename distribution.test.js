@@ -0,0 +1,289 @@
+// Distribution engine and deck storage tests - run with `node --test` (Node 18 or later).
+// utils.js and distribution.js are loaded into their own context the way headless.js
+// loads them, talking to an in-memory fallback room.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { WebsimSocketFallback, createMemoryStorage } = require('./room-fallback.js');
+
+// Fresh app scripts and room for each test
+const loadApp = () => {
+  const storage = createMemoryStorage();
+  const context = vm.createContext({
+    console: { log: () => {}, warn: () => {}, error: () => {} },
+    setTimeout, clearTimeout, setInterval, clearInterval,
+    React: {},
+    ReactDOM: {},
+    WebsimSocket: class extends WebsimSocketFallback {
+      constructor() {
+        super({ storage });
+      }
+    },
+    localStorage: createMemoryStorage(),
+    sessionStorage: createMemoryStorage(),
+    window: {}
+  });
+
+  for (const file of ['utils.js', 'distribution.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), context, { filename: file });
+  }
+  return (name) => vm.runInContext(name, context);
+};
+
+const DECK = { name: 'Test Deck', cards: ['Drone', 'Pulse', 'Silence', 'Swell', 'Scatter', 'Hold'] };
+
+// A session with a deck and some players, and an engine driving it
+const setUp = async (sessionSettings = {}, playerNames = ['Ana', 'Ben', 'Cy']) => {
+  const app = loadApp();
+  const room = app('room');
+  const deck = await room.collection('deck').create(DECK);
+  const session = await room.collection('session').create({
+    pin: '123456',
+    active: true,
+    distribution_mode: 'unison',
+    selected_deck_id: deck.id,
+    deck_mix: [],
+    min_timer_seconds: 30,
+    max_timer_seconds: 30,
+    groups: [],
+    unison_lead_seconds: 0,
+    auto_distribute: true,
+    seed: 'test-seed',
+    ...sessionSettings
+  });
+  for (const name of playerNames) {
+    await room.collection('player').create({ name, session_pin: session.pin, session_id: session.id, active: true });
+  }
+
+  const errors = [];
+  const engine = app('createDistributionEngine')({ session, onError: (message) => errors.push(message) });
+  const getPlayers = () => room.collection('player').filter({ session_pin: session.pin }).getList();
+  const getSession = async () => (await room.collection('session').filter({ id: session.id }).getList())[0];
+  // Feed the engine the room's current players, as the conductor view and headless runner do
+  const refresh = async () => engine.update({ players: await getPlayers() });
+
+  engine.update({ decks: [deck] });
+  await refresh();
+  return { app, room, deck, session, engine, errors, getPlayers, getSession, refresh };
+};
+
+test('unison mode deals every player the same card at the same time', async () => {
+  const { engine, getPlayers, getSession } = await setUp();
+
+  await engine.tick(Date.now());
+
+  const players = await getPlayers();
+  assert.ok(players.every(player => player.current_card));
+  assert.strictEqual(new Set(players.map(player => player.current_card)).size, 1);
+  assert.strictEqual(new Set(players.map(player => player.card_start_time)).size, 1);
+  assert.ok((await getSession()).unison_sequences[''], 'sequence saved for recovery');
+});
+
+test('a recovered unison sequence for a deck mix deals each card from its own deck', async () => {
+  const app = loadApp();
+  const room = app('room');
+  const strings = await room.collection('deck').create({ name: 'Strings', cards: ['Bow'] });
+  const winds = await room.collection('deck').create({ name: 'Winds', cards: ['Breath'] });
+  const decks = [strings, winds];
+  const deck_mix = [{ deck_id: strings.id, proportion: 1 }, { deck_id: winds.id, proportion: 1 }];
+  const mixId = app('buildDeckMix')(deck_mix, decks).id;
+  const session = await room.collection('session').create({
+    pin: '123456', active: true, distribution_mode: 'unison', deck_mix, groups: [],
+    min_timer_seconds: 30, max_timer_seconds: 30, unison_lead_seconds: 0, seed: 'test-seed',
+    // Left by the conductor before a reload - the next card is "Breath"
+    unison_sequences: { '': { deck_id: mixId, titles: ['Bow', 'Breath'], index: 0 } }
+  });
+  await room.collection('player').create({ name: 'Ana', session_pin: session.pin, session_id: session.id, active: true });
+
+  const engine = app('createDistributionEngine')({ session });
+  engine.update({ decks, players: await room.collection('player').getList() });
+  await engine.tick(Date.now());
+
+  const [player] = await room.collection('player').getList();
+  assert.strictEqual(player.current_card, 'Breath');
+  assert.strictEqual(player.current_deck_id, winds.id);
+  assert.strictEqual(player.current_deck_name, 'Winds');
+});
+
+test('unique mode deals every player a different card', async () => {
+  const { engine, getPlayers } = await setUp({ distribution_mode: 'unique' }, ['Ana', 'Ben']);
+
+  await engine.tick(Date.now());
+
+  const players = await getPlayers();
+  assert.ok(players.every(player => player.current_card));
+  assert.strictEqual(new Set(players.map(player => player.current_card)).size, players.length);
+});
+
+test('the engine remembers its own deals between ticks', async () => {
+  const { room, engine, session, getPlayers } = await setUp(
+    { distribution_mode: 'random', min_timer_seconds: 2, max_timer_seconds: 2 },
+    ['Ana']
+  );
+  const getDeals = () => room.collection('session_event').filter({ session_id: session.id, type: 'deal' }).getList();
+  const now = Date.now();
+
+  // No update() between ticks - the engine has to know the card it just dealt is running
+  await engine.tick(now);
+  await engine.tick(now + 2000);
+  assert.strictEqual((await getDeals()).length, 1);
+
+  // Once the card has run out, the next deal builds on the history of the first
+  await new Promise(resolve => setTimeout(resolve, 3100));
+  await engine.tick(now + 4000);
+  const [player] = await getPlayers();
+  assert.strictEqual((await getDeals()).length, 2);
+  assert.strictEqual(player.card_history.length, 2);
+});
+
+test('inline card media stays in the deck instead of being copied to players', async () => {
+  const image = `data:image/png;base64,${'A'.repeat(1000)}`;
+  const { app, room, engine, getPlayers } = await setUp({}, ['Ana']);
+  const deck = await room.collection('deck').create({ name: 'Media', cards: [{ title: 'Look', image }] });
+  engine.update({ decks: [deck], session: { selected_deck_id: deck.id } });
+
+  await engine.tick(Date.now());
+
+  const [player] = await getPlayers();
+  assert.strictEqual(player.current_card_data.image, app('CARD_MEDIA_IN_DECK'));
+  assert.strictEqual(app('resolveDeckMedia')(player.current_card_data, deck.cards).image, image);
+});
+
+test('deck revisions keep inline media once and restore it', async () => {
+  const image = `data:image/png;base64,${'B'.repeat(1000)}`;
+  const app = loadApp();
+  const room = app('room');
+  const deck = await app('createDeckWithRevision')({ name: 'Media', cards: [{ title: 'Look', image }] });
+  await app('updateDeckWithRevision')(deck, { name: 'Media 2' });
+
+  const revisions = await app('loadDeckRevisions')(deck.id);
+  assert.strictEqual(revisions.length, 2);
+  assert.ok(revisions.every(revision => !revision.cards[0].image.startsWith('data:')));
+  assert.strictEqual((await room.collection('deck_media').getList()).length, 1);
+
+  const [restoredCard] = await app('restoreRevisionMedia')(revisions[1].cards);
+  assert.strictEqual(restoredCard.image, image);
+});
+
+test('pausing stops dealing and resuming shifts running cards by the pause', async () => {
+  const { engine, getPlayers, getSession, refresh } = await setUp();
+  await engine.tick(Date.now());
+  await refresh();
+  const before = await getPlayers();
+
+  const pausedAt = Date.now();
+  await engine.pause(pausedAt);
+  assert.strictEqual(engine.getStatus().paused, true);
+  assert.strictEqual((await getSession()).paused, true);
+
+  const shiftedStarts = await engine.resume(pausedAt + 5000);
+  const after = await getPlayers();
+  assert.strictEqual(engine.getStatus().paused, false);
+  assert.strictEqual(Object.keys(shiftedStarts).length, before.length);
+  for (const player of after) {
+    const original = before.find(p => p.id === player.id);
+    assert.strictEqual(new Date(player.card_start_time) - new Date(original.card_start_time), 5000);
+    assert.strictEqual(player.card_shifted_from, original.card_start_time);
+  }
+});
+
+test('a paused session is not auto-distributed', async () => {
+  const { engine, getPlayers } = await setUp();
+
+  await engine.pause();
+  await engine.tick(Date.now());
+
+  assert.ok((await getPlayers()).every(player => !player.current_card));
+});
+
+test('override sends a typed card and extend adds time to it', async () => {
+  const { engine, getPlayers, refresh } = await setUp();
+  const [player, other] = await getPlayers();
+
+  const sentCount = await engine.override([player], { customText: 'Listen', duration: 20 });
+  assert.strictEqual(sentCount, 1);
+  await refresh();
+
+  const overridden = (await getPlayers()).find(p => p.id === player.id);
+  assert.strictEqual(overridden.current_card, 'Listen');
+  assert.strictEqual(overridden.card_duration, 20);
+
+  assert.strictEqual(await engine.extend(overridden, 15), 35);
+  assert.strictEqual((await getPlayers()).find(p => p.id === player.id).card_duration, 35);
+  assert.strictEqual(await engine.extend(other, 15), null, 'no running card to extend');
+});
+
+test('score playback deals each cue and advances when it ends', async () => {
+  const { engine, getPlayers, getSession, refresh } = await setUp({ distribution_mode: 'score', score_id: 'score-1' });
+  engine.update({
+    scores: [{ id: 'score-1', entries: [{ card: 'Drone', duration: 1 }, { card: 'Swell', duration: 1 }] }]
+  });
+
+  await engine.toggleScore();
+  assert.deepStrictEqual((await getPlayers()).map(player => player.current_card), ['Drone', 'Drone', 'Drone']);
+  assert.strictEqual((await getSession()).score_index, 0);
+
+  await refresh();
+  await engine.tick(Date.now() + 1500);
+  assert.deepStrictEqual((await getPlayers()).map(player => player.current_card), ['Swell', 'Swell', 'Swell']);
+  assert.strictEqual(engine.getStatus().scoreIndex, 1);
+
+  await engine.tick(Date.now() + 3000);
+  assert.strictEqual(engine.getStatus().scorePlaying, false);
+  assert.strictEqual((await getSession()).score_playing, false);
+});
+
+test('a recorded score times its cues from their offsets, not their rounded durations', async () => {
+  const { engine, deck, getPlayers, refresh } = await setUp(
+    { distribution_mode: 'score', score_id: 'recorded', selected_deck_id: null },
+    ['Ana']
+  );
+  const cue = (offset_ms, card) => ({
+    offset_ms,
+    duration: Math.max(1, Math.round(offset_ms / 1000)),
+    assignments: [{ seat: 1, deck_id: deck.id, card, duration: 5 }]
+  });
+  engine.update({
+    scores: [{ id: 'recorded', seats: [{ seat: 1, player_name: 'Ana' }], entries: [cue(0, 'Drone'), cue(1400, 'Swell')] }]
+  });
+
+  await engine.toggleScore();
+  const [first] = await getPlayers();
+
+  await refresh();
+  await engine.tick(Date.now() + 1500);
+  const [second] = await getPlayers();
+  assert.strictEqual(second.current_card, 'Swell');
+  assert.strictEqual(new Date(second.card_start_time) - new Date(first.card_start_time), 1400);
+});
+
+test('a recorded cue skips seats whose deck is gone and reports it', async () => {
+  const { engine, deck, errors, getPlayers } = await setUp(
+    { distribution_mode: 'score', score_id: 'recorded', selected_deck_id: null },
+    ['Ana', 'Ben']
+  );
+  engine.update({
+    scores: [{
+      id: 'recorded',
+      seats: [{ seat: 1, player_name: 'Ana' }, { seat: 2, player_name: 'Ben' }],
+      entries: [{
+        duration: 5,
+        assignments: [
+          { seat: 1, deck_id: deck.id, card: 'Pulse', duration: 5 },
+          { seat: 2, deck_id: 'deleted-deck', card: 'Gone', duration: 5 }
+        ]
+      }]
+    }]
+  });
+
+  await engine.toggleScore();
+
+  const players = await getPlayers();
+  assert.strictEqual(players.find(player => player.name === 'Ana').current_card, 'Pulse');
+  assert.ok(!players.find(player => player.name === 'Ben').current_card);
+  assert.strictEqual(errors.length, 1);
+  assert.match(errors[0], /deleted-deck/);
+});
@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+// Headless conductor - runs a session's auto-distribution and score playback from Node,
+// with no browser open. It loads the same utils.js and distribution.js the app uses,
+// takes the conductor lease like any other conductor (handing it over when a conductor in
+// a browser asks for it), and prints the session's status to stdout.
+//
+// Usage:
+//   node headless.js --pin 123456 --code ABC123 [--room memory|file:room-data|./adapter.js]
+//   node headless.js --demo [--room file:room-data]
+//
+// --room picks the room adapter the app scripts talk to:
+//   memory           in-memory fallback room (the default; only useful with --demo)
+//   file:<dir>       fallback room kept in a directory, one JSON file per record, shared with
+//                    other local processes
+//   <module path>    a module exporting a WebsimSocket-compatible class
+// --demo creates a session with a demo deck and three players in the room, then runs it.
+// --status <s>     seconds between status lines (default 10)
+// --verbose        show the app's own console logging
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { WebsimSocketFallback, createMemoryStorage } = require('./room-fallback.js');
+
+const HEADLESS_POLL_INTERVAL = 2000; // ms between reads of the session, players, decks and scores
+const APP_SCRIPTS = ['utils.js', 'distribution.js'];
+
+const parseArgs = (argv) => {
+  const options = { room: 'memory', status: 10, verbose: false, demo: false, pin: '', code: '' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--verbose' || arg === '--demo') {
+      options[arg.slice(2)] = true;
+    } else if (['--pin', '--code', '--room', '--status'].includes(arg)) {
+      options[arg.slice(2)] = argv[++i] || '';
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  options.status = Math.max(1, parseInt(options.status) || 10);
+  return options;
+};
+
+// Storage-like object kept in a directory, one file per key, read on every access so
+// several processes (or a second runner) see each other's writes. Each write goes to a
+// temporary file that is renamed into place, so readers never see half a record and
+// processes writing different records never overwrite each other. watch() reports
+// changes made by any process, so fallback room subscriptions stay live.
+const createFileStorage = (dirPath) => {
+  fs.mkdirSync(dirPath, { recursive: true });
+  const keyPath = (key) => path.join(dirPath, `${encodeURIComponent(key)}.json`);
+
+  return {
+    getItem: (key) => (fs.existsSync(keyPath(key)) ? fs.readFileSync(keyPath(key), 'utf8') : null),
+    setItem: (key, value) => {
+      const tempPath = `${keyPath(key)}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, String(value));
+      fs.renameSync(tempPath, keyPath(key));
+    },
+    removeItem: (key) => fs.rmSync(keyPath(key), { force: true }),
+    keys: () => fs.readdirSync(dirPath)
+      .filter(file => file.endsWith('.json'))
+      .map(file => decodeURIComponent(file.slice(0, -'.json'.length))),
+    watch: (onChange) => {
+      fs.watch(dirPath, (event, file) => {
+        if (file && file.endsWith('.json')) onChange(decodeURIComponent(file.slice(0, -'.json'.length)));
+      }).unref(); // Don't hold the process open just to watch
+    }
+  };
+};
+
+// The room class the app scripts construct as WebsimSocket
+const createRoomAdapter = (room) => {
+  if (room === 'memory' || room.startsWith('file:')) {
+    const storage = room === 'memory' ? createMemoryStorage() : createFileStorage(path.resolve(room.slice(5)));
+    return class extends WebsimSocketFallback {
+      constructor() {
+        super({ storage });
+      }
+    };
+  }
+
+  const adapter = require(path.resolve(room));
+  const RoomClass = typeof adapter === 'function' ? adapter : adapter.WebsimSocket;
+  if (typeof RoomClass !== 'function') {
+    throw new Error(`${room} does not export a WebsimSocket-compatible class`);
+  }
+  return RoomClass;
+};
+
+// Run the app's scripts in their own context, the way index.html loads them, and return
+// a lookup for their globals
+const loadAppScripts = (RoomClass, { verbose }) => {
+  const context = vm.createContext({
+    console: { log: verbose ? console.log : () => {}, warn: console.warn, error: console.error },
+    setTimeout, clearTimeout, setInterval, clearInterval,
+    React: {},
+    ReactDOM: {},
+    WebsimSocket: RoomClass,
+    WebsimSocketFallback,
+    localStorage: createMemoryStorage(),
+    sessionStorage: createMemoryStorage(),
+    window: {}
+  });
+
+  for (const file of APP_SCRIPTS) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), context, { filename: file });
+  }
+  return (name) => vm.runInContext(name, context);
+};
+
+// Demo deck, session and players for trying the runner against a local room
+const createDemoSession = async (app) => {
+  const room = app('room');
+  const deck = await app('createDeckWithRevision')({
+    name: 'Headless Demo',
+    cards: ['Drone', 'Pulse', 'Silence', 'Swell', 'Scatter'],
+    card_count: 5,
+    archived: false,
+    created_at: new Date().toISOString()
+  }, 'create');
+
+  const session = await room.collection('session').create({
+    pin: app('generatePin')(),
+    active: true,
+    distribution_mode: 'unique',
+    min_timer_seconds: 5,
+    max_timer_seconds: 10,
+    active_deck_id: deck.id,
+    selected_deck_id: deck.id,
+    deck_mix: [],
+    seed: app('generateSeed')(),
+    admin_code: app('generateAdminCode')(),
+    conductor_lease: null,
+    groups: [],
+    paused: false,
+    unison_lead_seconds: 1,
+    ended: false,
+    auto_distribute: true,
+    created_at: new Date().toISOString()
+  });
+
+  for (let i = 1; i <= 3; i++) {
+    await room.collection('player').create({
+      name: `Player ${i}`,
+      session_pin: session.pin,
+      session_id: session.id,
+      active: true,
+      ready_for_card: true
+    });
+  }
+
+  console.log(`Demo session created - PIN ${session.pin}, co-conductor code ${session.admin_code}`);
+  return session;
+};
+
+const findSession = async (app, pin) => {
+  const sessions = await app('safeOperation')(() =>
+    app('room').collection('session').filter({ pin, active: true }).getList()
+  );
+  return sessions.find(session => !session.ended);
+};
+
+// One status line: mode, players, running cards, pause and score position
+const formatStatus = (session, players, engineStatus, inControl) => {
+  const now = Date.now();
+  const active = players.filter(player => player.active);
+  const running = active.filter(player =>
+    player.current_card && player.current_card !== 'END' && player.card_start_time && player.card_duration &&
+    new Date(player.card_start_time).getTime() + player.card_duration * 1000 > now
+  );
+  const parts = [
+    new Date(now).toISOString(),
+    `PIN ${session.pin}`,
+    inControl ? 'in control' : 'waiting for control',
+    `${session.distribution_mode} mode`,
+    `${active.length}/${players.length} players active`,
+    `${running.length} cards running`
+  ];
+  if (engineStatus?.paused) parts.push('paused');
+  if (session.distribution_mode === 'score') {
+    parts.push(`score cue ${(engineStatus?.scoreIndex || 0) + 1}${engineStatus?.scorePlaying ? ' playing' : ' stopped'}`);
+  }
+  return parts.join(' | ');
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const app = loadAppScripts(createRoomAdapter(options.room), options);
+  const room = app('room');
+  const safeOperation = app('safeOperation');
+
+  let session = options.demo ? await createDemoSession(app) : await findSession(app, options.pin.replace(/\D/g, ''));
+  if (!session) {
+    throw new Error(`No open session with PIN ${options.pin}`);
+  }
+  if (!options.demo && !session.admin_code) {
+    throw new Error('That session has no co-conductor code - it can only be resumed where it started');
+  }
+  if (!options.demo && options.code.trim().toUpperCase() !== session.admin_code) {
+    throw new Error('That co-conductor code does not match the session');
+  }
+
+  const clientId = `headless-${Math.random().toString(36).substring(2, 10)}`;
+  const answeredPings = new Set();
+  const playerSnapshot = {};
+  let players = [];
+  let engine = null;
+  let engineStatus = null;
+  let lastRenewal = 0;
+  let polling = false;
+
+  const startEngine = (record) => {
+    engine = app('createDistributionEngine')({
+      session: record,
+      onChange: (status) => { engineStatus = status; },
+      onError: (message) => console.error(`Distribution error: ${message}`)
+    });
+    engineStatus = engine.getStatus();
+    console.log(`Took control of session ${record.pin}`);
+  };
+
+  const stopEngine = () => {
+    if (!engine) return;
+    engine.stop();
+    engine = null;
+  };
+
+  // Read everything the engine runs on, and keep the conductor lease
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+
+    try {
+      const current = (await safeOperation(() =>
+        room.collection('session').filter({ id: session.id }).getList()
+      ))[0];
+      if (!current || current.ended) {
+        console.log(`Session ${session.pin} has ended`);
+        shutdown(0);
+        return;
+      }
+      session = current;
+
+      const [playerList, decks, scores] = await Promise.all([
+        safeOperation(() => room.collection('player').filter({ session_pin: session.pin }).getList()),
+        safeOperation(() => room.collection('deck').getList()),
+        safeOperation(() => room.collection('score').getList())
+      ]);
+      players = playerList;
+
+      const lease = session.conductor_lease;
+      const now = Date.now();
+      if (lease?.client_id === clientId) {
+        if (session.handover_request && session.handover_request.client_id !== clientId) {
+          // A conductor wants the session back - hand over and wait for the lease to lapse again
+          stopEngine();
+          await safeOperation(() =>
+            room.collection('session').update(session.id, {
+              conductor_lease: app('createConductorLease')(session.handover_request.client_id),
+              handover_request: null
+            })
+          );
+          app('logSessionEvent')(session.id, 'handover', { details: 'from headless runner' });
+          console.log('Handed control to the conductor who asked for it');
+          return;
+        }
+        if (now - lastRenewal >= app('CONDUCTOR_HEARTBEAT_INTERVAL')) {
+          await safeOperation(() =>
+            room.collection('session').update(session.id, { conductor_lease: app('createConductorLease')(clientId) })
+          );
+          lastRenewal = now;
+        }
+        if (!engine) startEngine(session);
+      } else if (!app('isLeaseActive')(lease)) {
+        const claimed = await app('claimConductorLease')(session.id, clientId);
+        if (claimed) {
+          session = claimed;
+          lastRenewal = Date.now();
+          startEngine(session);
+          app('logSessionEvent')(session.id, 'takeover', { details: 'headless runner' });
+        }
+      } else if (engine) {
+        console.log('Another conductor has taken control');
+        stopEngine();
+      }
+
+      if (engine) {
+        engine.update({ session, players, decks, scores });
+        engine.start();
+        app('answerClockPings')(players, answeredPings);
+        app('recordPlayerEvents')(session.id, players, playerSnapshot);
+      }
+    } catch (error) {
+      console.error('Error polling session:', error.message);
+    } finally {
+      polling = false;
+    }
+  };
+
+  const pollTimer = setInterval(poll, HEADLESS_POLL_INTERVAL);
+  const statusTimer = setInterval(() => {
+    console.log(formatStatus(session, players, engineStatus, !!engine));
+  }, options.status * 1000);
+
+  // Stop dealing and let the lease lapse straight away so a browser conductor can take over
+  const shutdown = async (code) => {
+    clearInterval(pollTimer);
+    clearInterval(statusTimer);
+    const hadControl = !!engine;
+    stopEngine();
+    if (hadControl) {
+      await safeOperation(() =>
+        room.collection('session').update(session.id, { conductor_lease: null })
+      ).catch(() => {});
+    }
+    process.exit(code);
+  };
+  process.on('SIGINT', () => shutdown(0));
+  process.on('SIGTERM', () => shutdown(0));
+
+  console.log(`Headless conductor for session ${session.pin} (${options.room} room)`);
+  await poll();
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
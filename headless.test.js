@@ -0,0 +1,63 @@
+// Headless runner tests - run with `node --test` (Node 18 or later).
+// Runs the demo session in a file room for a few seconds, then reads the room's files.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEMO_RUN_MS = 9000;
+
+// Records of one collection in a file room directory
+const readRoomRecords = (roomDir, type) => {
+  const prefix = `fallback-room:${type}:`;
+  return fs.readdirSync(roomDir)
+    .filter(file => file.endsWith('.json') && decodeURIComponent(file.slice(0, -'.json'.length)).startsWith(prefix))
+    .map(file => JSON.parse(fs.readFileSync(path.join(roomDir, file), 'utf8')));
+};
+
+// Run the demo until it has been going for runMs, then stop it the way Ctrl+C would
+const runDemo = (roomDir, runMs) => new Promise((resolve, reject) => {
+  const runner = spawn(process.execPath, [path.join(__dirname, 'headless.js'), '--demo', '--room', `file:${roomDir}`, '--status', '60']);
+  let output = '';
+  runner.stdout.on('data', (data) => { output += data; });
+  runner.stderr.on('data', (data) => { output += data; });
+  runner.on('error', reject);
+  runner.on('exit', (code) => resolve({ code, output }));
+  setTimeout(() => runner.kill('SIGINT'), runMs);
+});
+
+test('the demo deals each player one card at a time', async () => {
+  const roomDir = fs.mkdtempSync(path.join(os.tmpdir(), 'headless-room-'));
+  try {
+    const { code, output } = await runDemo(roomDir, DEMO_RUN_MS);
+    assert.strictEqual(code, 0, output);
+
+    const players = readRoomRecords(roomDir, 'player');
+    const deals = readRoomRecords(roomDir, 'session_event')
+      .filter(event => event.type === 'deal')
+      .sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+    assert.strictEqual(players.length, 3);
+
+    for (const player of players) {
+      const playerDeals = deals.filter(deal => deal.player_id === player.id);
+      assert.ok(playerDeals.length > 0, `${player.name} was dealt a card`);
+
+      // A new card only once the previous one has run its full duration
+      for (let i = 1; i < playerDeals.length; i++) {
+        const previous = playerDeals[i - 1];
+        assert.ok(
+          new Date(playerDeals[i].start_time) - new Date(previous.start_time) >= previous.duration * 1000,
+          `${player.name} was dealt "${playerDeals[i].card}" before "${previous.card}" ran out`
+        );
+      }
+
+      // The player record's history covers every deal
+      assert.deepStrictEqual(player.card_history.map(entry => entry.text), playerDeals.map(deal => deal.card));
+    }
+  } finally {
+    fs.rmSync(roomDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,192 @@
+// Stand-in for WebsimSocket when the hosted service isn't available - for offline
+// rehearsals with several tabs on one machine, and for the headless runner. Records are
+// kept as JSON in a Storage-like object (localStorage in the browser, memory or a file
+// under Node), one key per record so tabs writing different records never overwrite
+// each other. Subscriptions are live: every write notifies this room's subscribers
+// straight away and other tabs through a BroadcastChannel (or storage events where
+// BroadcastChannel isn't available). Storage that can report outside changes itself
+// (a watch(onChange) method, like the headless runner's file rooms) notifies through that.
+// Plain script (no JSX) so it loads both in index.html and under Node.
+
+const FALLBACK_ROOM_PREFIX = 'fallback-room:';
+const FALLBACK_ROOM_CHANNEL = 'fallback-room';
+
+// Storage-like object backed by a plain map, for running outside the browser
+const createMemoryStorage = () => {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+    removeItem: (key) => { delete items[key]; },
+    keys: () => Object.keys(items)
+  };
+};
+
+// Whether a record matches every field of a filter
+const matchesFilter = (item, filterParams) => {
+  for (const key in filterParams) {
+    if (item[key] !== filterParams[key]) return false;
+  }
+  return true;
+};
+
+class WebsimSocketFallback {
+  constructor({ storage } = {}) {
+    const sharedWithTabs = !storage && typeof localStorage !== 'undefined';
+    this._storage = storage || (sharedWithTabs ? localStorage : createMemoryStorage());
+    this._collections = {};
+    this._listeners = {}; // collection type -> Set of change handlers
+    this._migrated = new Set();
+
+    // Hear about writes from other processes sharing the storage
+    if (this._storage.watch) {
+      this._storage.watch((key) => {
+        if (key.startsWith(FALLBACK_ROOM_PREFIX)) {
+          this._notify(key.slice(FALLBACK_ROOM_PREFIX.length).split(':')[0], false);
+        }
+      });
+    }
+
+    // Hear about writes from other tabs sharing the same localStorage
+    if (!sharedWithTabs) return;
+    if (typeof BroadcastChannel !== 'undefined') {
+      this._channel = new BroadcastChannel(FALLBACK_ROOM_CHANNEL);
+      this._channel.onmessage = (event) => this._notify(event.data.type, false);
+    } else if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('storage', (event) => {
+        if (event.key && event.key.startsWith(FALLBACK_ROOM_PREFIX)) {
+          this._notify(event.key.slice(FALLBACK_ROOM_PREFIX.length).split(':')[0], false);
+        }
+      });
+    }
+  }
+
+  _recordKey(type, id) {
+    return `${FALLBACK_ROOM_PREFIX}${type}:${id}`;
+  }
+
+  _storageKeys() {
+    if (this._storage.keys) return this._storage.keys();
+
+    const keys = [];
+    for (let i = 0; i < this._storage.length; i++) {
+      keys.push(this._storage.key(i));
+    }
+    return keys;
+  }
+
+  // Earlier versions kept each collection as one array under its type - split it into records
+  _migrate(type) {
+    if (this._migrated.has(type)) return;
+    this._migrated.add(type);
+
+    const legacy = this._storage.getItem(type);
+    if (!legacy) return;
+    try {
+      JSON.parse(legacy).forEach(item => this._storage.setItem(this._recordKey(type, item.id), JSON.stringify(item)));
+      this._storage.removeItem(type);
+    } catch (error) {
+      console.error(`Could not migrate fallback collection ${type}:`, error);
+    }
+  }
+
+  // Records of a collection, oldest first
+  _getItems(type) {
+    this._migrate(type);
+    const prefix = `${FALLBACK_ROOM_PREFIX}${type}:`;
+    return this._storageKeys()
+      .filter(key => key.startsWith(prefix))
+      .map(key => JSON.parse(this._storage.getItem(key)))
+      .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || '') || a.id.localeCompare(b.id));
+  }
+
+  // Write one record, with a readable error when the browser's storage is full
+  _setItem(key, value) {
+    try {
+      this._storage.setItem(key, value);
+    } catch (error) {
+      if (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED') {
+        throw new Error('The offline room is out of storage space - remove card media or old decks and try again');
+      }
+      throw error;
+    }
+  }
+
+  _getItem(type, id) {
+    this._migrate(type);
+    const stored = this._storage.getItem(this._recordKey(type, id));
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  // Tell this room's subscribers about a change, and other tabs unless it came from one
+  _notify(type, broadcast = true) {
+    if (broadcast && this._channel) {
+      this._channel.postMessage({ type });
+    }
+    (this._listeners[type] || new Set()).forEach(listener => listener());
+  }
+
+  // Deliver a (filtered) list now and after every change that alters it
+  _subscribe(type, filterParams, callback) {
+    let lastDelivered = null;
+    const deliver = () => {
+      const items = this._getItems(type).filter(item => matchesFilter(item, filterParams));
+      const serialized = JSON.stringify(items);
+      if (serialized === lastDelivered) return;
+      lastDelivered = serialized;
+      callback(items);
+    };
+
+    if (!this._listeners[type]) this._listeners[type] = new Set();
+    this._listeners[type].add(deliver);
+    deliver();
+    return () => this._listeners[type].delete(deliver); // Unsubscribe function
+  }
+
+  collection(type) {
+    if (!this._collections[type]) {
+      this._collections[type] = {
+        filter: (params) => this._createFilteredCollection(type, params),
+        getList: () => this._getItems(type),
+        create: async (data) => {
+          const newItem = {
+            ...data,
+            id: Math.random().toString(36).substring(2, 15),
+            username: 'local-user',
+            created_at: new Date().toISOString()
+          };
+          this._setItem(this._recordKey(type, newItem.id), JSON.stringify(newItem));
+          this._notify(type);
+          return newItem;
+        },
+        update: async (id, data) => {
+          const item = this._getItem(type, id);
+          if (!item) throw new Error('Item not found');
+
+          const updatedItem = { ...item, ...data };
+          this._setItem(this._recordKey(type, id), JSON.stringify(updatedItem));
+          this._notify(type);
+          return updatedItem;
+        },
+        delete: async (id) => {
+          this._migrate(type);
+          this._storage.removeItem(this._recordKey(type, id));
+          this._notify(type);
+        },
+        subscribe: (callback) => this._subscribe(type, {}, callback)
+      };
+    }
+    return this._collections[type];
+  }
+
+  _createFilteredCollection(type, filterParams) {
+    return {
+      getList: () => this._getItems(type).filter(item => matchesFilter(item, filterParams)),
+      subscribe: (callback) => this._subscribe(type, filterParams, callback)
+    };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { WebsimSocketFallback, createMemoryStorage };
+}
@@ -20,13 +20,33 @@ const { createRoot } = ReactDOM;
 const CARD_RECEIVED_CHECK_INTERVAL = 250; // ms
 
 // Helper Functions
-const generatePin = () => {
+const generatePin = (random = Math.random) => {
   // Generate a 6-digit PIN that's easier to type and read
-  const pin = Math.floor(100000 + Math.random() * 900000).toString();
+  const pin = Math.floor(100000 + random() * 900000).toString();
   console.log(`[${APP_VERSION}] Generated PIN: ${pin}`);
   return pin;
 };
 
+// Seeded pseudo-random generator (mulberry32) - returns a Math.random-style function
+// so card selection and durations can be replayed exactly from a session's seed
+const createSeededRandom = (seed) => {
+  // Hash the seed text into a 32-bit starting state
+  let state = 0x811c9dc5;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 0x01000193);
+  }
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// New session seed, short enough to read out and type back in
+const generateSeed = () => Math.random().toString(36).substring(2, 10);
+
 const safeOperation = async (operation, retries = 3) => {
   let lastError;
   for (let attempt = 0; attempt < retries; attempt++) {
@@ -41,8 +61,1136 @@ const safeOperation = async (operation, retries = 3) => {
   throw lastError || new Error('Operation failed');
 };
 
+// Clock synchronization - players estimate their offset from the conductor's clock
+const CLOCK_SYNC_INTERVAL = 15000; // ms between pings once synced
+const CLOCK_SYNC_FAST_INTERVAL = 2000; // ms between the first few pings
+const CLOCK_SYNC_SAMPLES = 8;
+
+// NTP-style sample from one exchange: t0/t3 are player send/receive times,
+// t1/t2 are the conductor's receive/reply times
+const computeClockSample = ({ t0, t1, t2 }, t3) => ({
+  offset: ((t1 - t0) + (t2 - t3)) / 2,
+  rtt: Math.max(0, (t3 - t0) - (t2 - t1))
+});
+
+// The sample with the shortest round trip gives the most trustworthy offset
+const estimateClockOffset = (samples) => {
+  if (!samples || samples.length === 0) return null;
+  return samples.reduce((best, sample) => sample.rtt < best.rtt ? sample : best);
+};
+
+// Answer players' clock pings with this device's receive and reply times. answeredIds
+// is the caller's Set of ping ids already answered.
+const answerClockPings = (playerList, answeredIds) => {
+  const receivedAt = Date.now();
+  for (const player of playerList) {
+    const ping = player.clock_ping;
+    if (!ping || answeredIds.has(ping.id) || player.clock_pong?.id === ping.id) continue;
+
+    answeredIds.add(ping.id);
+    room.collection('player').update(player.id, {
+      clock_pong: { id: ping.id, t0: ping.t0, t1: receivedAt, t2: Date.now() }
+    }).catch(error => console.error(`[${APP_VERSION}] Error answering clock ping:`, error));
+  }
+};
+
+// Scheduled unison starts - default lead time and the on-screen countdown
+const DEFAULT_UNISON_LEAD_SECONDS = 3;
+const START_COUNTDOWN_SECONDS = 3;
+
+// What players see of their card timer (stored on the session record)
+const PLAYER_TIMER_DISPLAYS = [
+  { value: 'hidden', label: 'Hidden' },
+  { value: 'ring', label: 'Progress ring' },
+  { value: 'countdown', label: 'Numeric countdown' },
+  { value: 'warning', label: 'Warning flash near the end' }
+];
+const DEFAULT_TIMER_WARNING_SECONDS = 5;
+
+// Format a number of seconds as m:ss
+const formatDuration = (totalSeconds) => {
+  const seconds = Math.max(0, Math.round(totalSeconds || 0));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Seconds left on a player's card at a given time, and seconds until it starts if scheduled
+const getPlayerTimer = (player, now) => {
+  if (!player.current_card || player.current_card === 'END' || !player.card_start_time || !player.card_duration) {
+    return { timeRemaining: null, startsIn: null };
+  }
+
+  const cardStartTime = new Date(player.card_start_time).getTime();
+  if (cardStartTime > now) {
+    return { timeRemaining: player.card_duration, startsIn: Math.ceil((cardStartTime - now) / 1000) };
+  }
+
+  const cardEndTime = cardStartTime + (player.card_duration * 1000);
+  return { timeRemaining: Math.max(0, Math.ceil((cardEndTime - now) / 1000)), startsIn: null };
+};
+
+// Total running time of a score in seconds
+const getScoreDuration = (score) =>
+  (score?.entries || []).reduce((total, entry) => total + (parseInt(entry.duration) || 0), 0);
+
+// Session recovery - sessions this device conducted are remembered in localStorage so a
+// reload can offer them back; other devices can still pick up any recent open session
+const CONDUCTOR_SESSIONS_KEY = 'conductorSessionIds';
+const RECOVERABLE_SESSION_HOURS = 12;
+
+const getConductorSessionIds = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CONDUCTOR_SESSIONS_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const rememberConductorSession = (sessionId) => {
+  const ids = getConductorSessionIds().filter(id => id !== sessionId);
+  localStorage.setItem(CONDUCTOR_SESSIONS_KEY, JSON.stringify([sessionId, ...ids].slice(0, 20)));
+};
+
+const forgetConductorSession = (sessionId) => {
+  localStorage.setItem(CONDUCTOR_SESSIONS_KEY, JSON.stringify(getConductorSessionIds().filter(id => id !== sessionId)));
+};
+
+// Active, non-ended sessions this device started, recent enough to resume - newest first.
+// Sessions conducted elsewhere are joined by PIN and co-conductor code instead.
+const findRecoverableSessions = async (now = Date.now()) => {
+  const localIds = getConductorSessionIds();
+  if (localIds.length === 0) return [];
+
+  const cutoff = now - RECOVERABLE_SESSION_HOURS * 60 * 60 * 1000;
+  const sessionList = await safeOperation(() => room.collection('session').getList());
+
+  return sessionList
+    .filter(session => localIds.includes(session.id) && session.active && !session.ended &&
+      new Date(session.created_at).getTime() > cutoff)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+};
+
+// Conductor lease - exactly one client controls a session (and runs its auto-distribute
+// loop) at a time. The holder renews the lease on every heartbeat; anyone else with the
+// session's admin code takes over once it lapses, or when the holder hands it over.
+const CONDUCTOR_LEASE_SECONDS = 15;
+const CONDUCTOR_HEARTBEAT_INTERVAL = 5000; // ms
+const LEASE_CONFIRM_DELAY = 1000; // ms to wait before reading a claim back
+
+// Identifies this page load. Not kept in sessionStorage - a duplicated tab copies that, and
+// two tabs sharing an id would both think they hold the lease. A reloaded tab is a new
+// client and takes control back once the lease it left behind lapses.
+const CONDUCTOR_CLIENT_ID = Math.random().toString(36).substring(2, 12);
+const getConductorClientId = () => CONDUCTOR_CLIENT_ID;
+
+// Code a co-conductor needs to control a session, without the confusable characters
+const generateAdminCode = (random = Math.random) => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let code = '';
+  for (let i = 0; i < 6; i++) {
+    code += alphabet[Math.floor(random() * alphabet.length)];
+  }
+  return code;
+};
+
+const createConductorLease = (clientId, now = Date.now()) => ({
+  client_id: clientId,
+  expires_at: new Date(now + CONDUCTOR_LEASE_SECONDS * 1000).toISOString()
+});
+
+const isLeaseActive = (lease, now = Date.now()) =>
+  !!lease && new Date(lease.expires_at).getTime() > now;
+
+// Claim a session's lease and read it back. The room has no compare-and-set, so the
+// read-back settles two clients claiming at once - whoever wrote last holds it.
+// Returns the session record when the claim stuck, null otherwise.
+const claimConductorLease = async (sessionId, clientId) => {
+  await safeOperation(() =>
+    room.collection('session').update(sessionId, {
+      conductor_lease: createConductorLease(clientId),
+      handover_request: null
+    })
+  );
+  await new Promise(resolve => setTimeout(resolve, LEASE_CONFIRM_DELAY));
+
+  const current = (await safeOperation(() =>
+    room.collection('session').filter({ id: sessionId }).getList()
+  ))[0];
+  return current?.conductor_lease?.client_id === clientId ? current : null;
+};
+
+// Unison sequences as stored on the session record - card titles only, since cards can
+// carry uploaded media. They are matched back to deck cards when the group next deals.
+const serializeUnisonSequences = (sequences) => {
+  const saved = {};
+  Object.entries(sequences).forEach(([groupKey, sequence]) => {
+    saved[groupKey] = {
+      deck_id: sequence.deckId,
+      titles: sequence.cards ? sequence.cards.map(getCardText) : sequence.titles,
+      index: sequence.index
+    };
+  });
+  return saved;
+};
+
+const restoreUnisonSequences = (saved) => {
+  const sequences = {};
+  Object.entries(saved || {}).forEach(([groupKey, sequence]) => {
+    sequences[groupKey] = { deckId: sequence.deck_id, titles: sequence.titles || [], index: sequence.index || 0 };
+  });
+  return sequences;
+};
+
+// Session event log - every deal, acknowledgement, expiry, join, leave, mode change
+// and pause is written to the session_event collection. Fire-and-forget: a failed
+// log write must never hold up a deal.
+const logSessionEvent = (sessionId, type, details = {}) => {
+  if (!sessionId) return Promise.resolve(null);
+
+  return safeOperation(() =>
+    room.collection('session_event').create({
+      session_id: sessionId,
+      type,
+      at: new Date().toISOString(),
+      ...details
+    })
+  ).catch(error => {
+    console.error(`[${APP_VERSION}] Error logging session event ${type}:`, error);
+    return null;
+  });
+};
+
+// The parts of a player record the event log diffs against
+const toPlayerSnapshot = (player) => ({
+  active: player.active,
+  current_card: player.current_card,
+  card_duration: player.card_duration,
+  card_acknowledged_at: player.card_acknowledged_at,
+  card_ended_at: player.card_ended_at
+});
+
+// Log joins, leaves, acknowledgements and expiries by diffing player records against
+// the snapshot of the last list seen, which is updated in place
+const recordPlayerEvents = (sessionId, playerList, snapshot) => {
+  for (const player of playerList) {
+    const previous = snapshot[player.id];
+    const playerDetails = { player_id: player.id, player_name: player.name };
+
+    if (!previous || (!previous.active && player.active)) {
+      if (player.active) logSessionEvent(sessionId, 'join', playerDetails);
+    } else if (previous.active && !player.active) {
+      logSessionEvent(sessionId, 'leave', playerDetails);
+    }
+
+    if (previous && player.card_acknowledged_at && player.card_acknowledged_at !== previous.card_acknowledged_at) {
+      logSessionEvent(sessionId, 'acknowledge', { ...playerDetails, card: player.current_card, deck_name: player.current_deck_name });
+    }
+
+    if (previous && player.card_ended_at && player.card_ended_at !== previous.card_ended_at) {
+      logSessionEvent(sessionId, 'expire', { ...playerDetails, card: previous.current_card, duration: previous.card_duration });
+    }
+
+    snapshot[player.id] = toPlayerSnapshot(player);
+  }
+};
+
+// Load a session's events in time order
+const loadSessionEvents = async (sessionId) => {
+  const events = await safeOperation(() =>
+    room.collection('session_event')
+      .filter({ session_id: sessionId })
+      .getList()
+  );
+  return events.sort((a, b) => new Date(a.at).getTime() - new Date(b.at).getTime());
+};
+
+// Session log with times relative to the session start, ready for export
+const buildSessionLog = (session, events) => {
+  const sessionStart = new Date(session.created_at).getTime();
+  return {
+    session: {
+      id: session.id,
+      pin: session.pin,
+      seed: session.seed || null,
+      created_at: session.created_at,
+      ended_at: session.ended_at || null
+    },
+    events: events.map(event => ({
+      elapsed_seconds: Math.round((new Date(event.at).getTime() - sessionStart) / 10) / 100,
+      at: event.at,
+      type: event.type,
+      player_id: event.player_id || '',
+      player_name: event.player_name || '',
+      card: event.card || '',
+      deck_id: event.deck_id || '',
+      deck_name: event.deck_name || '',
+      deck_revision: event.deck_revision ?? '',
+      duration: event.duration ?? '',
+      start_time: event.start_time || '',
+      details: event.details || ''
+    }))
+  };
+};
+
+const SESSION_LOG_COLUMNS = ['elapsed_seconds', 'at', 'type', 'player_id', 'player_name', 'card', 'deck_id', 'deck_name', 'deck_revision', 'duration', 'start_time', 'details'];
+
+// Length of a session log in seconds - the last event or the end of the last card dealt
+const getSessionLogDuration = (log) => {
+  const sessionStart = new Date(log.session.created_at).getTime();
+  return log.events.reduce((latest, event) => {
+    const cardEnd = event.type === 'deal' && event.start_time && event.duration
+      ? (new Date(event.start_time).getTime() - sessionStart) / 1000 + Number(event.duration)
+      : 0;
+    return Math.max(latest, Number(event.elapsed_seconds) || 0, cardEnd);
+  }, 0);
+};
+
+// Rebuild the conductor's player grid as it stood a number of seconds into a session log.
+// Returns player-shaped records so the grid renders them like live ones, plus the
+// replay clock (frozen while paused) to compute their timers against.
+const getReplayStateAt = (log, elapsedSeconds) => {
+  const sessionStart = new Date(log.session.created_at).getTime();
+  const playersById = {};
+  const order = [];
+  let pausedAt = null;
+
+  const getPlayer = (event) => {
+    if (!playersById[event.player_id]) {
+      playersById[event.player_id] = {
+        id: event.player_id,
+        name: event.player_name || 'Unknown',
+        active: true,
+        current_card: null
+      };
+      order.push(event.player_id);
+    }
+    return playersById[event.player_id];
+  };
+
+  for (const event of log.events) {
+    if (Number(event.elapsed_seconds) > elapsedSeconds) break;
+    const eventTime = sessionStart + Number(event.elapsed_seconds) * 1000;
+
+    switch (event.type) {
+      case 'join':
+        getPlayer(event).active = true;
+        break;
+      case 'leave':
+        getPlayer(event).active = false;
+        break;
+      case 'deal': {
+        const player = getPlayer(event);
+        player.current_card = event.card;
+        player.current_deck_name = event.deck_name;
+        player.card_duration = Number(event.duration);
+        player.card_start_time = event.start_time || event.at;
+        break;
+      }
+      case 'expire': {
+        const player = getPlayer(event);
+        if (player.current_card === event.card) player.current_card = null;
+        break;
+      }
+      case 'pause':
+        pausedAt = eventTime;
+        break;
+      case 'resume':
+        // Running cards were shifted by the length of the pause, as in resumeSession
+        for (const id of order) {
+          const player = playersById[id];
+          if (player.current_card && player.card_start_time && pausedAt !== null) {
+            const start = new Date(player.card_start_time).getTime();
+            if (start + player.card_duration * 1000 > pausedAt) {
+              player.card_start_time = new Date(start + eventTime - pausedAt).toISOString();
+            }
+          }
+        }
+        pausedAt = null;
+        break;
+      case 'session_end':
+        order.forEach(id => { playersById[id].current_card = 'END'; });
+        break;
+      default:
+        break;
+    }
+  }
+
+  return {
+    players: order.map(id => playersById[id]),
+    paused: pausedAt !== null,
+    now: pausedAt !== null ? pausedAt : sessionStart + elapsedSeconds * 1000
+  };
+};
+
+// Deals closer together than this are treated as one score cue
+const RECORDED_CUE_WINDOW_MS = 500;
+
+// Turn a session log's deal history into a score that re-deals the same cards and
+// durations to the same seats. Deals starting together become one cue, each cue lasts
+// until the next one starts, and time spent paused is cut out. Each cue keeps its exact
+// offset_ms from the first cue, so playback is timed from those offsets; duration is the
+// rounded length for display.
+const buildScoreFromSessionLog = (log, name) => {
+  const sessionStart = new Date(log.session.created_at).getTime();
+  const seats = {};
+  const pauses = [];
+  let pauseStart = null;
+
+  for (const event of log.events) {
+    if (event.player_id && seats[event.player_id] === undefined) {
+      seats[event.player_id] = Object.keys(seats).length;
+    }
+    const eventTime = sessionStart + Number(event.elapsed_seconds) * 1000;
+    if (event.type === 'pause') pauseStart = eventTime;
+    if (event.type === 'resume' && pauseStart !== null) {
+      pauses.push({ start: pauseStart, length: eventTime - pauseStart });
+      pauseStart = null;
+    }
+  }
+
+  // Time with every earlier pause removed
+  const toPerformanceTime = (time) =>
+    pauses.reduce((shifted, pause) => pause.start < time ? shifted - Math.min(pause.length, time - pause.start) : shifted, time);
+
+  const deals = log.events
+    .filter(event => event.type === 'deal' && event.card)
+    .map(event => ({
+      time: toPerformanceTime(new Date(event.start_time || event.at).getTime()),
+      assignment: {
+        seat: seats[event.player_id],
+        player_name: event.player_name || '',
+        card: event.card,
+        deck_id: event.deck_id || '',
+        duration: Number(event.duration)
+      }
+    }))
+    .sort((a, b) => a.time - b.time);
+
+  const cues = [];
+  for (const deal of deals) {
+    const cue = cues[cues.length - 1];
+    if (cue && deal.time - cue.time <= RECORDED_CUE_WINDOW_MS) {
+      cue.assignments = cue.assignments.filter(assignment => assignment.seat !== deal.assignment.seat);
+      cue.assignments.push(deal.assignment);
+    } else {
+      cues.push({ time: deal.time, assignments: [deal.assignment] });
+    }
+  }
+
+  const entries = cues.map((cue, index) => {
+    const next = cues[index + 1];
+    const cards = [...new Set(cue.assignments.map(assignment => assignment.card))];
+    return {
+      section: '',
+      deck_id: cue.assignments[0].deck_id,
+      card: cards.length === 1 ? cards[0] : '',
+      offset_ms: Math.round(cue.time - cues[0].time),
+      duration: next
+        ? Math.max(1, Math.round((next.time - cue.time) / 1000))
+        : Math.max(...cue.assignments.map(assignment => assignment.duration)),
+      assignments: cue.assignments
+    };
+  });
+
+  return {
+    name,
+    entries,
+    cue_count: entries.length,
+    seats: Object.keys(seats).map(playerId => ({
+      seat: seats[playerId],
+      player_name: log.events.find(event => event.player_id === playerId && event.player_name)?.player_name || ''
+    })),
+    source_session_id: log.session.id || null
+  };
+};
+
+// Save a session log's deal history as a score record
+const createScoreFromSessionLog = (log, name) =>
+  safeOperation(() =>
+    room.collection('score').create(buildScoreFromSessionLog(log, name))
+  );
+
+// Map a recorded score's seats onto current players, by name (falling back to seat
+// order for anyone unmatched) or purely by seat - the order players joined in
+const matchRecordedSeats = (seats, players, matchBy = 'name') => {
+  const seated = [...players].sort((a, b) => String(a.created_at || '').localeCompare(String(b.created_at || '')));
+  const playersBySeat = {};
+  const usedPlayerIds = new Set();
+
+  if (matchBy === 'name') {
+    for (const { seat, player_name } of seats) {
+      const recordedName = (player_name || '').trim().toLowerCase();
+      const player = recordedName && seated.find(p => !usedPlayerIds.has(p.id) && (p.name || '').trim().toLowerCase() === recordedName);
+      if (player) {
+        usedPlayerIds.add(player.id);
+        playersBySeat[seat] = player;
+      }
+    }
+  }
+
+  const unmatchedPlayers = seated.filter(p => !usedPlayerIds.has(p.id));
+  for (const { seat } of seats) {
+    if (playersBySeat[seat] || unmatchedPlayers.length === 0) continue;
+    playersBySeat[seat] = unmatchedPlayers.shift();
+  }
+
+  return playersBySeat;
+};
+
+// Quote a value for CSV output
+const toCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) =>
+  [columns.join(','), ...rows.map(row => columns.map(column => toCsvValue(row[column])).join(','))].join('\n');
+
+// Parse CSV text into an array of header-keyed rows. Handles quoted fields,
+// doubled quotes and line breaks inside quotes.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(cells => cells.some(cell => cell.trim().length > 0));
+  const columns = header.map(column => column.trim().toLowerCase());
+  return body.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])));
+};
+
+// Offer text content as a file download
+const downloadFile = (filename, content, mimeType = 'text/plain') => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Card history kept on each player record for cooldown checks
+const CARD_HISTORY_LIMIT = 20;
+
+// Card helpers - legacy decks store plain strings, newer decks store card objects:
+// { title, body, duration, tags, color, weight, cooldown_cards, cooldown_seconds }
+const normalizeCard = (card) => {
+  const source = typeof card === 'string' ? { title: card } : (card || {});
+  const title = String(source.title ?? source.text ?? '').trim();
+  const weight = parseFloat(source.weight);
+  const duration = parseInt(source.duration);
+  const tags = Array.isArray(source.tags)
+    ? source.tags
+    : String(source.tags || '').split(',');
+
+  return {
+    title,
+    body: String(source.body || '').trim(),
+    duration: duration > 0 ? duration : null,
+    tags: tags.map(tag => String(tag).trim().toLowerCase()).filter(tag => tag.length > 0),
+    color: source.color || null,
+    image: source.image || null,
+    audio: source.audio || null,
+    weight: Number.isFinite(weight) ? Math.max(0, weight) : 1,
+    cooldown_cards: Math.max(0, parseInt(source.cooldown_cards) || 0),
+    cooldown_seconds: Math.max(0, parseInt(source.cooldown_seconds) || 0)
+  };
+};
+
+const getCardText = (card) => normalizeCard(card).title;
+
+// Normalize a raw card list from storage or an import, dropping empty cards
+const parseDeckCards = (rawCards) =>
+  (Array.isArray(rawCards) ? rawCards : [])
+    .map(normalizeCard)
+    .filter(card => card.title.length > 0);
+
+// Inline media (the fallback upload's data URLs) is too large to copy into every player
+// record on every deal - the record says the media is in the deck, and players look it up
+const CARD_MEDIA_IN_DECK = 'deck';
+
+const isInlineMedia = (url) => typeof url === 'string' && url.startsWith('data:');
+
+// The subset of a card that is written to the player record for display
+const getCardDisplayData = (card) => {
+  const { title, body, duration, tags, color, image, audio } = normalizeCard(card);
+  return {
+    title, body, duration, tags, color,
+    image: isInlineMedia(image) ? CARD_MEDIA_IN_DECK : image,
+    audio: isInlineMedia(audio) ? CARD_MEDIA_IN_DECK : audio
+  };
+};
+
+// Whether a player record's card data leaves its media in the deck
+const hasDeckMedia = (cardData) =>
+  !!cardData && (cardData.image === CARD_MEDIA_IN_DECK || cardData.audio === CARD_MEDIA_IN_DECK);
+
+// Fill in card data media kept in the deck from the deck's cards, matched by title
+const resolveDeckMedia = (cardData, deckCards) => {
+  if (!hasDeckMedia(cardData)) return cardData;
+
+  const deckCard = parseDeckCards(deckCards).find(card => card.title === cardData.title);
+  return {
+    ...cardData,
+    image: cardData.image === CARD_MEDIA_IN_DECK ? (deckCard?.image || null) : cardData.image,
+    audio: cardData.audio === CARD_MEDIA_IN_DECK ? (deckCard?.audio || null) : cardData.audio
+  };
+};
+
+// Media cards - images and short audio cues uploaded through websim.upload.
+// The fallback upload stores a data URL in the deck record, where the browser's ~5MB
+// storage has to hold it, so inline files get much tighter limits.
+const CARD_MEDIA_LIMITS = {
+  image: { type: 'image/', maxBytes: 2 * 1024 * 1024, maxInlineBytes: 300 * 1024 },
+  audio: { type: 'audio/', maxBytes: 1024 * 1024, maxInlineBytes: 200 * 1024 }
+};
+
+const formatMediaSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${Math.round(bytes / 1024 / 1024)}MB` : `${Math.round(bytes / 1024)}KB`;
+
+// Upload an image or audio file for a card and return its URL
+const uploadCardMedia = async (file, kind) => {
+  const limit = CARD_MEDIA_LIMITS[kind];
+  if (!file.type.startsWith(limit.type)) {
+    throw new Error(`${file.name} is not ${kind === 'image' ? 'an image' : 'an audio file'}`);
+  }
+  if (file.size > limit.maxBytes) {
+    throw new Error(`${file.name} is larger than ${formatMediaSize(limit.maxBytes)}`);
+  }
+
+  const url = await window.websim.upload(file);
+  if (isInlineMedia(url) && file.size > limit.maxInlineBytes) {
+    throw new Error(`${file.name} is larger than ${formatMediaSize(limit.maxInlineBytes)}, the most the offline room can store`);
+  }
+  console.log(`[${APP_VERSION}] Uploaded card ${kind}: ${file.name}`);
+  return url;
+};
+
+// Start loading a card's image and audio ahead of its start time. Loaded elements are
+// kept in the cache (a Map of url to element, least recently used first) so the card
+// flips without a network wait. Returns the card's audio element, if it has one.
+const CARD_MEDIA_CACHE_LIMIT = 12;
+
+const preloadCardMedia = (cardData, cache) => {
+  if (!cardData) return null;
+
+  const getCached = (url, create) => {
+    const element = cache.get(url) || create();
+    cache.delete(url);
+    cache.set(url, element); // Most recently used last, so this card's media is evicted last
+    return element;
+  };
+
+  if (cardData.image) {
+    getCached(cardData.image, () => {
+      const image = new Image();
+      image.src = cardData.image;
+      return image;
+    });
+  }
+
+  const audio = cardData.audio ? getCached(cardData.audio, () => {
+    const element = new Audio();
+    element.preload = 'auto';
+    element.src = cardData.audio;
+    element.load();
+    return element;
+  }) : null;
+
+  // Forget the least recently used entries once the cache is full
+  while (cache.size > CARD_MEDIA_CACHE_LIMIT) {
+    cache.delete(cache.keys().next().value);
+  }
+  return audio;
+};
+
+// Deck tags, stored lowercase like card tags. Accepts an array or comma-separated text.
+const normalizeDeckTags = (tags) =>
+  [...new Set((Array.isArray(tags) ? tags : String(tags || '').split(','))
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(tag => tag.length > 0))];
+
+// Every tag used across a deck library, alphabetically
+const getDeckLibraryTags = (decks) =>
+  [...new Set(decks.flatMap(deck => normalizeDeckTags(deck.tags)))].sort();
+
+const DECK_SORTS = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  newest: (a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')),
+  cards: (a, b) => parseDeckCards(b.cards).length - parseDeckCards(a.cards).length,
+  last_used: (a, b) => String(b.last_used_at || '').localeCompare(String(a.last_used_at || ''))
+};
+
+// Deck library search: the query matches deck names, tags and card text; tag narrows to one tag
+const filterDecks = (decks, { query = '', tag = '', sortBy = 'name' } = {}) => {
+  const needle = query.trim().toLowerCase();
+  return decks
+    .filter(deck => !tag || normalizeDeckTags(deck.tags).includes(tag))
+    .filter(deck => !needle ||
+      deck.name.toLowerCase().includes(needle) ||
+      normalizeDeckTags(deck.tags).some(deckTag => deckTag.includes(needle)) ||
+      parseDeckCards(deck.cards).some(card =>
+        card.title.toLowerCase().includes(needle) || card.body.toLowerCase().includes(needle)
+      ))
+    .sort(DECK_SORTS[sortBy] || DECK_SORTS.name);
+};
+
+// Deck export - the same shapes handleFileUpload reads back in
+const DECK_CSV_COLUMNS = ['deck', 'title', 'body', 'duration', 'tags', 'color', 'image', 'audio', 'weight', 'cooldown_cards', 'cooldown_seconds'];
+
+const DECK_EXPORT_FORMATS = {
+  json: { extension: 'json', mimeType: 'application/json' },
+  text: { extension: 'txt', mimeType: 'text/plain' },
+  csv: { extension: 'csv', mimeType: 'text/csv' }
+};
+
+// A deck as the JSON import expects it: name, tags and full card objects
+const getDeckExportData = (deck) => ({
+  name: deck.name,
+  tags: normalizeDeckTags(deck.tags),
+  cards: parseDeckCards(deck.cards)
+});
+
+// Plain text: deck name on the first line, one card title per line after it
+const deckToText = (deck) =>
+  [deck.name, ...parseDeckCards(deck.cards).map(card => card.title)].join('\n');
+
+// One CSV row per card, with the deck name in the first column
+const decksToCsv = (decks) =>
+  toCsv(DECK_CSV_COLUMNS, decks.flatMap(deck =>
+    parseDeckCards(deck.cards).map(card => ({
+      deck: deck.name,
+      ...card,
+      tags: card.tags.join(', ')
+    }))
+  ));
+
+// Group CSV rows back into decks, in the order each deck first appears
+const decksFromCsv = (text) => {
+  const decksByName = new Map();
+  for (const row of parseCsv(text)) {
+    const name = (row.deck || '').trim();
+    if (!name) continue;
+    if (!decksByName.has(name)) decksByName.set(name, { name, cards: [] });
+    decksByName.get(name).cards.push(row);
+  }
+  return [...decksByName.values()].map(deck => ({ ...deck, cards: parseDeckCards(deck.cards) }));
+};
+
+// Markdown decks: each heading starts a deck and its list items are the cards.
+// Indented list items under a card become that card's instructions.
+const parseMarkdownDecks = (text, fallbackName) => {
+  const decks = [];
+  let current = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const heading = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      current = { name: heading[1].trim(), cards: [] };
+      decks.push(current);
+      continue;
+    }
+
+    const item = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/);
+    if (!item) continue;
+
+    if (!current) {
+      current = { name: fallbackName, cards: [] };
+      decks.push(current);
+    }
+
+    const previous = current.cards[current.cards.length - 1];
+    if (item[1].length >= 2 && previous) {
+      previous.body = [previous.body, item[2].trim()].filter(Boolean).join('\n');
+    } else {
+      current.cards.push({ title: item[2].trim(), body: '' });
+    }
+  }
+
+  return decks;
+};
+
+// Read an uploaded deck file into raw decks ({ name, cards }) without creating anything.
+// JSON holds one deck or an array, CSV and Markdown can hold several, and plain text
+// is a single deck with its name on the first line.
+const parseDeckFile = (fileName, text) => {
+  const lowerName = fileName.toLowerCase();
+  const fallbackName = fileName.replace(/\.[^.]+$/, '');
+
+  if (lowerName.endsWith('.csv')) {
+    return decksFromCsv(text);
+  }
+
+  if (lowerName.endsWith('.md') || lowerName.endsWith('.markdown')) {
+    return parseMarkdownDecks(text, fallbackName);
+  }
+
+  if (lowerName.endsWith('.json') || /^\s*[[{]/.test(text)) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : [data];
+    if (!list.every(deck => deck && typeof deck === 'object' && Array.isArray(deck.cards))) {
+      throw new Error('JSON decks need a "cards" array');
+    }
+    return list.map(deck => ({ name: String(deck.name || fallbackName), tags: deck.tags, cards: deck.cards }));
+  }
+
+  const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+  if (lines.length < 2) {
+    throw new Error('Not enough content in file');
+  }
+  return [{ name: lines[0], cards: lines.slice(1) }];
+};
+
+// Cards longer than this are flagged on import - they are hard to read on a phone
+const MAX_IMPORT_CARD_LENGTH = 200;
+
+// Check parsed decks before importing: card problems, and names that collide with
+// existing decks or with each other. Each deck gets a default collision action.
+const validateImportedDecks = (rawDecks, existingDecks) =>
+  rawDecks.map((rawDeck, index) => {
+    const name = String(rawDeck.name || '').trim();
+    const cards = parseDeckCards(rawDeck.cards);
+    const warnings = [];
+
+    const emptyCount = (rawDeck.cards || []).length - cards.length;
+    if (emptyCount > 0) {
+      warnings.push(`${emptyCount} empty card${emptyCount !== 1 ? 's' : ''} will be dropped`);
+    }
+
+    const longCount = cards.filter(card => card.title.length > MAX_IMPORT_CARD_LENGTH).length;
+    if (longCount > 0) {
+      warnings.push(`${longCount} card${longCount !== 1 ? 's are' : ' is'} over ${MAX_IMPORT_CARD_LENGTH} characters`);
+    }
+
+    const titles = cards.map(card => card.title.toLowerCase());
+    const repeatedCount = titles.filter((title, i) => titles.indexOf(title) !== i).length;
+    if (repeatedCount > 0) {
+      warnings.push(`${repeatedCount} repeated card${repeatedCount !== 1 ? 's' : ''}`);
+    }
+
+    if (!name) warnings.push('Deck has no name');
+    if (cards.length === 0) warnings.push('Deck has no cards');
+
+    const sameName = (deck) => String(deck.name || '').trim().toLowerCase() === name.toLowerCase();
+    if (rawDecks.slice(0, index).some(sameName)) {
+      warnings.push('Another deck in this file has the same name');
+    }
+
+    const existingDeck = name ? existingDecks.find(sameName) : null;
+    if (existingDeck) {
+      warnings.push(`A deck called "${existingDeck.name}" already exists`);
+    }
+
+    return {
+      key: index,
+      name,
+      tags: normalizeDeckTags(rawDeck.tags),
+      cards,
+      warnings,
+      existingDeckId: existingDeck?.id || null,
+      include: name.length > 0 && cards.length > 0,
+      action: existingDeck ? 'skip' : 'create' // create, merge, replace, skip
+    };
+  });
+
+// Cards of an existing deck with imported cards appended, leaving out titles it already has
+const mergeDeckCards = (existingCards, importedCards) => {
+  const cards = parseDeckCards(existingCards);
+  const titles = new Set(cards.map(card => card.title.toLowerCase()));
+  return [...cards, ...importedCards.filter(card => !titles.has(card.title.toLowerCase()))];
+};
+
+// Deck revisions - every change to a deck's name or cards is kept in the deck_revision
+// collection as a full snapshot plus what changed, so earlier versions can be restored.
+// Inline media is not copied into each snapshot: it is kept once in the deck_media
+// collection under a hash of its contents, and snapshots refer to it by that hash.
+const REVISION_MEDIA_PREFIX = 'media:';
+
+// Content hash of an inline media data URL - two FNV-1a passes and the length
+const hashMedia = (dataUrl) => {
+  let first = 0x811c9dc5;
+  let second = 0x01000193;
+  for (let i = 0; i < dataUrl.length; i++) {
+    const code = dataUrl.charCodeAt(i);
+    first = Math.imul(first ^ code, 0x01000193) >>> 0;
+    second = Math.imul(second ^ code, 0x811c9dc5) >>> 0;
+  }
+  return `${first.toString(36)}${second.toString(36)}-${dataUrl.length.toString(36)}`;
+};
+
+// Cards with inline media swapped for references, saving each media file once
+const storeRevisionMedia = async (cards) => {
+  const stored = new Set();
+  const toReference = async (url) => {
+    if (!isInlineMedia(url)) return url;
+
+    const hash = hashMedia(url);
+    if (!stored.has(hash)) {
+      stored.add(hash);
+      const existing = await safeOperation(() => room.collection('deck_media').filter({ hash }).getList());
+      if (existing.length === 0) {
+        await safeOperation(() => room.collection('deck_media').create({ hash, data: url }));
+      }
+    }
+    return `${REVISION_MEDIA_PREFIX}${hash}`;
+  };
+
+  const result = [];
+  for (const card of cards) {
+    result.push({ ...card, image: await toReference(card.image), audio: await toReference(card.audio) });
+  }
+  return result;
+};
+
+// A revision's cards with media references turned back into the media itself
+const restoreRevisionMedia = async (cards) => {
+  const found = {};
+  const fromReference = async (url) => {
+    if (typeof url !== 'string' || !url.startsWith(REVISION_MEDIA_PREFIX)) return url;
+
+    const hash = url.slice(REVISION_MEDIA_PREFIX.length);
+    if (!(hash in found)) {
+      const media = await safeOperation(() => room.collection('deck_media').filter({ hash }).getList());
+      found[hash] = media[0]?.data || null;
+    }
+    return found[hash];
+  };
+
+  const result = [];
+  for (const card of parseDeckCards(cards)) {
+    result.push({ ...card, image: await fromReference(card.image), audio: await fromReference(card.audio) });
+  }
+  return result;
+};
+
+// Card titles added, removed and changed (same title, different settings) between two card lists
+const diffDeckCards = (previousCards, nextCards) => {
+  const previous = new Map(parseDeckCards(previousCards).map(card => [card.title, card]));
+  const next = new Map(parseDeckCards(nextCards).map(card => [card.title, card]));
+
+  return {
+    added: [...next.keys()].filter(title => !previous.has(title)),
+    removed: [...previous.keys()].filter(title => !next.has(title)),
+    changed: [...next.keys()].filter(title =>
+      previous.has(title) && JSON.stringify(previous.get(title)) !== JSON.stringify(next.get(title))
+    )
+  };
+};
+
+const recordDeckRevision = async (deckId, revision, { name, cards }, previousCards, source) => {
+  const snapshotCards = await storeRevisionMedia(cards);
+  return safeOperation(() =>
+    room.collection('deck_revision').create({
+      deck_id: deckId,
+      revision,
+      name,
+      cards: snapshotCards,
+      card_count: cards.length,
+      source, // create, edit, import, restore, baseline
+      ...diffDeckCards(previousCards, cards),
+      created_at: new Date().toISOString()
+    })
+  );
+};
+
+// Create a deck along with its first revision
+const createDeckWithRevision = async (data, source = 'create') => {
+  const cards = parseDeckCards(data.cards);
+  const deck = await safeOperation(() =>
+    room.collection('deck').create({
+      archived: false,
+      ...data,
+      cards,
+      card_count: cards.length,
+      revision: 1
+    })
+  );
+  await recordDeckRevision(deck.id, 1, { name: deck.name, cards }, [], source);
+  return deck;
+};
+
+// Change a deck's name and/or cards and keep the result as a new revision.
+// Decks from before revisions existed get their current contents saved first.
+const updateDeckWithRevision = async (deck, changes, source = 'edit') => {
+  const { name: nextName, cards: nextCards, ...otherChanges } = changes;
+  const name = nextName ?? deck.name;
+  const cards = parseDeckCards(nextCards ?? deck.cards);
+  let revision = deck.revision || 0;
+
+  if (revision === 0) {
+    revision = 1;
+    await recordDeckRevision(deck.id, revision, { name: deck.name, cards: parseDeckCards(deck.cards) }, [], 'baseline');
+  }
+  revision += 1;
+
+  await safeOperation(() =>
+    room.collection('deck').update(deck.id, {
+      ...otherChanges,
+      name,
+      cards,
+      card_count: cards.length,
+      revision
+    })
+  );
+  await recordDeckRevision(deck.id, revision, { name, cards }, deck.cards, source);
+
+  return { ...deck, ...otherChanges, name, cards, card_count: cards.length, revision };
+};
+
+// A deck's revisions, newest first
+const loadDeckRevisions = async (deckId) => {
+  const revisions = await safeOperation(() =>
+    room.collection('deck_revision')
+      .filter({ deck_id: deckId })
+      .getList()
+  );
+  return revisions.sort((a, b) => b.revision - a.revision);
+};
+
+// File-safe version of a deck name
+const toFileName = (name) =>
+  String(name || 'deck').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'deck';
+
+// Download one or more decks. JSON and CSV hold any number of decks in one file;
+// the text format holds a single deck, so each deck gets its own file.
+const exportDecks = (decks, format = 'json') => {
+  const { extension, mimeType } = DECK_EXPORT_FORMATS[format];
+  const baseName = decks.length === 1 ? toFileName(decks[0].name) : `deck-library-${decks.length}`;
+
+  if (format === 'text') {
+    decks.forEach(deck => downloadFile(`${toFileName(deck.name)}.${extension}`, deckToText(deck), mimeType));
+  } else if (format === 'csv') {
+    downloadFile(`${baseName}.${extension}`, decksToCsv(decks), mimeType);
+  } else {
+    const data = decks.length === 1 ? getDeckExportData(decks[0]) : decks.map(getDeckExportData);
+    downloadFile(`${baseName}.${extension}`, JSON.stringify(data, null, 2), mimeType);
+  }
+
+  console.log(`[${APP_VERSION}] Exported ${decks.length} deck${decks.length !== 1 ? 's' : ''} as ${format}`);
+};
+
+// Combine several decks into one deck for distribution. Card weights are scaled so each
+// deck's share of deals follows its proportion whatever its size, and every card keeps
+// the deck it came from. mix is [{ deck_id, proportion }].
+const buildDeckMix = (mix, decks) => {
+  const parts = (mix || [])
+    .map(({ deck_id, proportion }) => ({ deck: decks.find(d => d.id === deck_id), proportion: Number(proportion) || 0 }))
+    .filter(part => part.deck && part.proportion > 0);
+  if (parts.length === 0) return null;
+
+  const cards = parts.flatMap(({ deck, proportion }) => {
+    const deckCards = parseDeckCards(deck.cards).filter(card => card.weight > 0);
+    const totalWeight = deckCards.reduce((sum, card) => sum + card.weight, 0);
+    return deckCards.map(card => ({
+      ...card,
+      weight: (card.weight / totalWeight) * proportion,
+      deck_id: deck.id,
+      deck_name: deck.name,
+      deck_revision: deck.revision ?? null
+    }));
+  });
+
+  return {
+    id: `mix:${parts.map(part => `${part.deck.id}=${part.proportion}`).join(',')}`,
+    name: parts.map(part => part.deck.name).join(' + '),
+    cards
+  };
+};
+
+// Check whether a card is still cooling down for a given deal history
+const isCardCoolingDown = (card, history = [], now = Date.now()) => {
+  const { title: text, cooldown_cards, cooldown_seconds } = normalizeCard(card);
+
+  if (cooldown_cards > 0 && history.slice(-cooldown_cards).some(entry => entry.text === text)) {
+    return true;
+  }
+
+  if (cooldown_seconds > 0) {
+    return history.some(entry =>
+      entry.text === text && entry.dealt_at &&
+      now - new Date(entry.dealt_at).getTime() < cooldown_seconds * 1000
+    );
+  }
+
+  return false;
+};
+
+// Weighted card selection honouring cooldowns and excluded cards.
+// Falls back to looser candidate sets rather than returning nothing.
+const pickWeightedCard = (cards, { histories = [], exclude = [], now = Date.now(), random = Math.random } = {}) => {
+  const weighted = (cards || []).filter(card => normalizeCard(card).weight > 0);
+  if (weighted.length === 0) return null;
+
+  const isExcluded = (card) => exclude.includes(getCardText(card));
+  const isCooling = (card) => histories.some(history => isCardCoolingDown(card, history, now));
+
+  const tiers = [
+    weighted.filter(card => !isExcluded(card) && !isCooling(card)),
+    weighted.filter(card => !isExcluded(card)),
+    weighted.filter(card => !isCooling(card)),
+    weighted
+  ];
+  const candidates = tiers.find(tier => tier.length > 0);
+
+  const totalWeight = candidates.reduce((sum, card) => sum + normalizeCard(card).weight, 0);
+  let threshold = random() * totalWeight;
+  for (const card of candidates) {
+    threshold -= normalizeCard(card).weight;
+    if (threshold < 0) return card;
+  }
+  return candidates[candidates.length - 1];
+};
+
+// Duration for a card: its own fixed duration, else random between min and max
+const pickCardDuration = (card, minTimerSeconds, maxTimerSeconds, random = Math.random) =>
+  normalizeCard(card).duration || Math.floor(
+    random() * (maxTimerSeconds - minTimerSeconds + 1) + minTimerSeconds
+  );
+
+// Append a deal to a player's card history, trimmed to the history limit
+const appendCardHistory = (history, text, dealtAt) =>
+  [...(history || []), { text, dealt_at: dealtAt }].slice(-CARD_HISTORY_LIMIT);
+
 // Card distribution function with strict mode enforcement
-const distributeCard = async (player, deckData, distributionMode, players, minTimerSeconds, maxTimerSeconds, sharedCard = null) => {
+// options.force deals even if the player's card is still running,
+// options.duration fixes the card duration (e.g. a score cue or shared unison duration),
+// options.startTime schedules the card to start at a future moment,
+// options.random is the session's seeded generator (defaults to Math.random)
+const distributeCard = async (player, deckData, distributionMode, players, minTimerSeconds, maxTimerSeconds, sharedCard = null, options = {}) => {
+  const { force = false, duration = null, startTime = null, random = Math.random } = options;
   try {
     // Check if session is ended for this player first
     if (player.session_ended === true) {
@@ -56,7 +1204,7 @@ const distributeCard = async (player, deckData, distributionMode, players, minTi
     console.log(`[${APP_VERSION}] Distributing card to player ${player.id} (${player.name}) in mode: ${distributionMode}`);
     
     // First, check if player already has an active card with remaining time
-    if (player.current_card && player.current_card !== 'END' && player.card_start_time && player.card_duration) {
+    if (!force && player.current_card && player.current_card !== 'END' && player.card_start_time && player.card_duration) {
       const cardStartTime = new Date(player.card_start_time).getTime();
       const cardEndTime = cardStartTime + (player.card_duration * 1000);
       const now = Date.now();
@@ -72,64 +1220,71 @@ const distributeCard = async (player, deckData, distributionMode, players, minTi
       }
     }
     
-    // Random duration between min and max
-    const randomDuration = Math.floor(
-      Math.random() * (maxTimerSeconds - minTimerSeconds + 1) + minTimerSeconds
-    );
-    
     let selectedCard;
     let selectedDeckName = deckData.name;
     let selectedDeckId = deckData.id;
     
-    // Choose card based on distribution mode
-    if (distributionMode === 'unison') {
+    // Choose card based on distribution mode, respecting weights and cooldowns
+    const cards = deckData.cards;
+    const now = Date.now();
+    if (distributionMode === 'unison' || distributionMode === 'score') {
       // FIXED: Unison mode - if a sharedCard is provided, use it, otherwise select a new card
       if (sharedCard) {
         selectedCard = sharedCard;
-        console.log(`[${APP_VERSION}] Using provided unison card: ${selectedCard}`);
+        console.log(`[${APP_VERSION}] Using provided unison card: ${getCardText(selectedCard)}`);
       } else {
-        // No shared card provided, select a new one
-        const cards = deckData.cards;
-        const randomIndex = Math.floor(Math.random() * cards.length);
-        selectedCard = cards[randomIndex];
-        console.log(`[${APP_VERSION}] Selected new unison card: ${selectedCard}`);
+        // No shared card provided, select one that is not cooling down for anyone
+        const histories = players.filter(p => p.active).map(p => p.card_history || []);
+        selectedCard = pickWeightedCard(cards, { histories, now, random });
+        console.log(`[${APP_VERSION}] Selected new unison card: ${getCardText(selectedCard)}`);
       }
     } else if (distributionMode === 'unique') {
       // Find a card that no other player currently has
-      const cards = deckData.cards;
       const activePlayerCards = players
         .filter(p => p.active && p.current_card && p.current_card !== 'END' && p.id !== player.id)
         .map(p => p.current_card);
       
-      const availableCards = cards.filter(card => !activePlayerCards.includes(card));
-      
-      if (availableCards.length > 0) {
-        const randomIndex = Math.floor(Math.random() * availableCards.length);
-        selectedCard = availableCards[randomIndex];
-        console.log(`[${APP_VERSION}] Selected unique card: ${selectedCard}`);
-      } else {
-        const randomIndex = Math.floor(Math.random() * cards.length);
-        selectedCard = cards[randomIndex];
-        console.log(`[${APP_VERSION}] No unique cards available, selected: ${selectedCard}`);
-      }
+      selectedCard = pickWeightedCard(cards, {
+        histories: [player.card_history || []],
+        exclude: activePlayerCards,
+        now,
+        random
+      });
+      console.log(`[${APP_VERSION}] Selected unique card: ${getCardText(selectedCard)}`);
     } else if (distributionMode === 'random') {
-      // For random mode, just pick a random card from the deck
-      const cards = deckData.cards;
-      const randomIndex = Math.floor(Math.random() * cards.length);
-      selectedCard = cards[randomIndex];
-      console.log(`[${APP_VERSION}] Selected random card: ${selectedCard}`);
+      // For random mode, pick a weighted card from the deck
+      selectedCard = pickWeightedCard(cards, { histories: [player.card_history || []], now, random });
+      console.log(`[${APP_VERSION}] Selected random card: ${getCardText(selectedCard)}`);
+    }
+    
+    if (!selectedCard) {
+      return { success: false, reason: 'NO_ELIGIBLE_CARDS' };
+    }
+    
+    // Cards from a deck mix carry the deck they came from
+    if (selectedCard.deck_id) {
+      selectedDeckId = selectedCard.deck_id;
+      selectedDeckName = selectedCard.deck_name;
     }
     
-    // Current time with millisecond precision for exact timing
-    const preciseStartTime = new Date();
+    const selectedText = getCardText(selectedCard);
+    // A fixed duration (score cue) or the card's own duration overrides the random min/max timer
+    const cardDuration = duration || pickCardDuration(selectedCard, minTimerSeconds, maxTimerSeconds, random);
+    
+    // Current (or scheduled) time with millisecond precision for exact timing
+    const preciseStartTime = startTime ? new Date(startTime) : new Date();
     
     // Create update data with absolute millisecond precision timestamps
     const updateData = {
-      current_card: selectedCard,
+      current_card: selectedText,
+      current_card_data: getCardDisplayData(selectedCard),
       current_deck_name: selectedDeckName,
       current_deck_id: selectedDeckId,
-      card_duration: randomDuration,
+      card_duration: cardDuration,
       card_start_time: preciseStartTime.toISOString(),
+      card_history: appendCardHistory(player.card_history, selectedText, preciseStartTime.toISOString()),
+      on_hold: false, // Any new deal releases a conductor hold
+      card_shifted_from: null,
       ready_for_card: false,
       card_received: false
     };
@@ -141,125 +1296,31 @@ const distributeCard = async (player, deckData, distributionMode, players, minTi
       room.collection('player').update(player.id, updateData)
     );
     
-    console.log(`[${APP_VERSION}] Card successfully sent to player ${player.id} for ${randomDuration}s starting at ${preciseStartTime.toISOString()}`);
+    console.log(`[${APP_VERSION}] Card successfully sent to player ${player.id} for ${cardDuration}s starting at ${preciseStartTime.toISOString()}`);
+    
+    logSessionEvent(player.session_id, 'deal', {
+      player_id: player.id,
+      player_name: player.name,
+      card: selectedText,
+      deck_id: selectedDeckId,
+      deck_name: selectedDeckName,
+      deck_revision: selectedCard.deck_revision ?? deckData.revision ?? null,
+      duration: cardDuration,
+      start_time: preciseStartTime.toISOString(),
+      details: `${distributionMode}${force ? ' (override)' : ''}`
+    });
     
     return {
       success: true,
-      card: selectedCard,
+      card: selectedText,
       deckName: selectedDeckName,
       deckId: selectedDeckId,
-      duration: randomDuration,
-      startTime: preciseStartTime
+      duration: cardDuration,
+      startTime: preciseStartTime,
+      playerUpdate: updateData
     };
   } catch (error) {
     console.error(`[${APP_VERSION}] Error distributing card:`, error);
     return { success: false, error: error.message };
   }
 };
-
-// Distribute card to a player
-const distributeCardToPlayer = async (player, sharedCard = null) => {
-  try {
-    // Assuming we have deckData, distributionMode, players, minTimerSeconds, maxTimerSeconds
-    const deckData = decks.find(d => d.id === selectedDeck);
-    const distributionMode = 'unison'; // replace with actual distribution mode
-    const minTimerSeconds = 10; // replace with actual min timer seconds
-    const maxTimerSeconds = 60; // replace with actual max timer seconds
-    
-    return await distributeCard(player, deckData, distributionMode, players, minTimerSeconds, maxTimerSeconds, sharedCard);
-  } catch (error) {
-    console.error(`[${APP_VERSION}] Error distributing card to player:`, error);
-    return { success: false, error: error.message };
-  }
-};
-
-// Modify the distributeCardsToAllPlayers function to ensure unison mode works correctly
-const distributeCardsToAllPlayers = async (mode = 'unison') => {
-  if (!sessionId || !selectedDeck || players.length === 0) {
-    setError('No players or deck selected');
-    return;
-  }
-
-  try {
-    console.log(`[${APP_VERSION}] Distributing cards to all players in ${mode} mode`);
-    
-    // Force all players to be ready
-    for (const player of players) {
-      if (player.active) {
-        await safeOperation(() =>
-          room.collection('player').update(player.id, {
-            ready_for_card: true
-          })
-        );
-      }
-    }
-    
-    // Brief delay to allow updates to process
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // For unison mode, select one card for all players
-    let sharedCard = null;
-    let selectedDeckData = null;
-    
-    if (mode === 'unison') {
-      selectedDeckData = decks.find(d => d.id === selectedDeck);
-      if (selectedDeckData && selectedDeckData.cards && selectedDeckData.cards.length > 0) {
-        const randomIndex = Math.floor(Math.random() * selectedDeckData.cards.length);
-        sharedCard = selectedDeckData.cards[randomIndex];
-        console.log(`[${APP_VERSION}] Selected shared unison card: "${sharedCard}" for ALL players`);
-      }
-    }
-    
-    // For unison mode, do a single update to all players at once for consistency
-    if (mode === 'unison' && sharedCard !== null) {
-      const randomDuration = Math.floor(
-        Math.random() * (60 - 10 + 1) + 10
-      );
-      
-      const preciseStartTime = new Date();
-      
-      // Update all active players with the same card in one batch
-      const updatePromises = players
-        .filter(player => player.active)
-        .map(player => {
-          const updateData = {
-            current_card: sharedCard,
-            current_deck_name: selectedDeckData.name,
-            current_deck_id: selectedDeckData.id,
-            card_duration: randomDuration,
-            card_start_time: preciseStartTime.toISOString(),
-            ready_for_card: false,
-            card_received: false
-          };
-          
-          console.log(`[${APP_VERSION}] Updating player ${player.name} with unison card: "${sharedCard}"`);
-          return safeOperation(() => 
-            room.collection('player').update(player.id, updateData)
-          );
-        });
-      
-      await Promise.all(updatePromises);
-      console.log(`[${APP_VERSION}] Successfully distributed unison card "${sharedCard}" to all players`);
-    } else {
-      // For non-unison modes, distribute individually
-      for (const player of players) {
-        if (player.active) {
-          if (mode === 'unison') {
-            await distributeCardToPlayer(player, sharedCard);
-          } else {
-            await distributeCardToPlayer(player);
-          }
-          // Add delay between distributions
-          await new Promise(resolve => setTimeout(resolve, 800));
-        }
-      }
-    }
-    
-    // Refresh player list
-    setTimeout(refreshPlayerList, 2000);
-    
-  } catch (error) {
-    console.error(`[${APP_VERSION}] Error distributing cards to all players:`, error);
-    throw error;
-  }
-};
\ No newline at end of file